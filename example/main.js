@@ -1,6 +1,6 @@
 
 import maplibregl from 'maplibre-gl';
-import { OfflinePlugin, OFFLINE_STATUS } from '../src/index.js';
+import { OfflinePlugin, OfflineManagerControl, OFFLINE_STATUS } from '../src/index.js';
 
 const run = async () => {
     // helpers
@@ -44,6 +44,12 @@ const run = async () => {
     // 3. Initialize Plugin
     const plugin = new OfflinePlugin();
 
+    // Ready-made panel listing the stored maps, next to the hand-built controls below
+    map.addControl(new OfflineManagerControl(plugin), 'top-right');
+
+    // Outlines of the stored maps, kept up to date as they are downloaded or removed
+    map.on('load', () => plugin.addCoverageLayer(map));
+
     // --- GENERIC HANDLER ---
     const bindMapControls = (type) => {
         const mapName = `${type}-map`;
@@ -0,0 +1,55 @@
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { createOfflineTileHandler, offlineTilesPlugin, isPluginRequest, toNetworkRequest } from '../src/index.js';
+
+// registerType: 'autoUpdate'
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html'), {
+    denylist: [/^\/.*\.pmtiles$/]
+}));
+
+registerRoute(
+    /^https:\/\/unpkg\.com\/.*/i,
+    new CacheFirst({
+        cacheName: 'unpkg-cache',
+        plugins: [
+            new ExpirationPlugin({
+                maxEntries: 10,
+                maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
+            }),
+            new CacheableResponsePlugin({
+                statuses: [0, 200]
+            })
+        ]
+    })
+);
+
+// Any .pmtiles URL a map was downloaded from is answered from storage (with range requests),
+// so pmtiles:// sources and other consumers of these URLs keep working offline.
+// Downloads of the plugin go to the network, without the header marking them.
+const offlineTiles = createOfflineTileHandler({
+    routes: [{ urlPattern: /\.pmtiles$/ }]
+});
+registerRoute(
+    ({ request }) => isPluginRequest(request),
+    ({ request }) => fetch(toNetworkRequest(request))
+);
+registerRoute(
+    ({ url }) => offlineTiles.match(url),
+    new CacheFirst({
+        cacheName: 'pmtiles',
+        plugins: [
+            offlineTilesPlugin(offlineTiles),
+            // Archives that are not stored are streamed from the network, never copied to the cache
+            { cacheWillUpdate: async () => null }
+        ]
+    })
+);
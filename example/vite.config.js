@@ -9,6 +9,10 @@ export default defineConfig({
     plugins: [
         VitePWA({
             registerType: 'autoUpdate',
+            // Custom service worker (sw.js) serving stored maps, see createOfflineTileHandler()
+            strategies: 'injectManifest',
+            srcDir: '.',
+            filename: 'sw.js',
             devOptions: {
                 enabled: false // Disable SW in dev to allow Hot Module Replacement (HMR)
             },
@@ -35,26 +39,8 @@ export default defineConfig({
                     }
                 ]
             },
-            workbox: {
-                globPatterns: ['**/*.{js,css,html,ico,png,svg,json}'],
-                navigateFallback: 'index.html',
-                navigateFallbackDenylist: [/^\/.*\.pmtiles$/],
-                runtimeCaching: [
-                    {
-                        urlPattern: /^https:\/\/unpkg\.com\/.*/i,
-                        handler: 'CacheFirst',
-                        options: {
-                            cacheName: 'unpkg-cache',
-                            expiration: {
-                                maxEntries: 10,
-                                maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
-                            },
-                            cacheableResponse: {
-                                statuses: [0, 200]
-                            }
-                        }
-                    }
-                ]
+            injectManifest: {
+                globPatterns: ['**/*.{js,css,html,ico,png,svg,json}']
             }
         })
     ]
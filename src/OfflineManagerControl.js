@@ -0,0 +1,441 @@
+
+import { OFFLINE_STATUS } from './OfflinePlugin';
+
+/**
+ * Default (English) strings of OfflineManagerControl. {placeholders} are replaced when displayed.
+ */
+export const DEFAULT_STRINGS = {
+    toggle: 'Offline maps',
+    title: 'Offline maps',
+    empty: 'No offline maps yet.',
+    storage: 'Storage: {used} MB of {quota} MB ({percent}%)',
+    storageUnknown: 'Storage usage is not available in this browser.',
+    details: '{size} MB · {date} · z{minZoom}-{maxZoom}',
+    coverage: 'Coverage: {bounds}',
+    load: 'Load',
+    unload: 'Unload',
+    visible: 'Visible',
+    zoomTo: 'Zoom to',
+    delete: 'Delete',
+    confirmDelete: 'Permanently delete {name} and its style from storage?',
+    cancel: 'Cancel',
+    downloading: 'Downloading… {progress}%',
+    downloadingUnknown: 'Downloading…',
+    paused: 'Download paused.',
+    cancelled: 'Download cancelled.',
+    error: 'Error: {message}',
+    loaded: '{name} loaded.',
+    unloaded: '{name} unloaded.',
+    deleted: '{name} deleted.',
+    evicted: '{names} deleted to free space.',
+    downloadView: 'Download current view',
+    viewName: 'Name of the new map',
+    defaultViewName: 'view-{date}'
+};
+
+const PLUGIN_EVENTS = ['downloadstart', 'downloadprogress', 'downloadcomplete', 'downloaderror', 'downloadpause',
+    'downloadcancel', 'mapload', 'maperror', 'mapunload', 'mapremove', 'mapevict', 'mapchange'];
+
+const STYLE_ID = 'offline-manager-ctrl-style';
+
+// Themable through CSS variables, see the `theme` option
+const STYLE = `
+.offline-manager-ctrl {
+    --omc-background: #fff;
+    --omc-text: #333;
+    --omc-muted: #666;
+    --omc-accent: #1f6feb;
+    --omc-danger: #c62828;
+    --omc-border: #ddd;
+    --omc-font-size: 12px;
+    background: var(--omc-background);
+    color: var(--omc-text);
+    font-size: var(--omc-font-size);
+}
+.offline-manager-ctrl .omc-toggle { width: auto; padding: 0 8px; color: var(--omc-text); }
+.offline-manager-ctrl .omc-panel { padding: 8px; width: 260px; max-height: 60vh; overflow-y: auto; border-top: 1px solid var(--omc-border); }
+.offline-manager-ctrl .omc-panel[hidden] { display: none; }
+.offline-manager-ctrl h2 { font-size: 1.2em; margin: 0 0 6px; }
+.offline-manager-ctrl ul { list-style: none; margin: 0; padding: 0; }
+.offline-manager-ctrl li { padding: 6px 0; border-bottom: 1px solid var(--omc-border); }
+.offline-manager-ctrl .omc-name { font-weight: bold; word-break: break-all; }
+.offline-manager-ctrl .omc-details, .offline-manager-ctrl .omc-status { color: var(--omc-muted); }
+.offline-manager-ctrl .omc-actions { display: flex; flex-wrap: wrap; gap: 4px; align-items: center; margin-top: 4px; }
+.offline-manager-ctrl .omc-actions button, .offline-manager-ctrl .omc-view button {
+    width: auto; height: auto; padding: 2px 6px; border: 1px solid var(--omc-border); border-radius: 3px;
+    background: var(--omc-background); color: var(--omc-accent); font-size: inherit;
+}
+.offline-manager-ctrl .omc-actions button.omc-delete { color: var(--omc-danger); }
+.offline-manager-ctrl button:focus-visible, .offline-manager-ctrl input:focus-visible { outline: 2px solid var(--omc-accent); outline-offset: 1px; }
+.offline-manager-ctrl .omc-bar { height: 6px; background: var(--omc-border); border-radius: 3px; overflow: hidden; margin: 4px 0; }
+.offline-manager-ctrl .omc-bar > div { height: 100%; background: var(--omc-accent); }
+.offline-manager-ctrl .omc-view { display: flex; gap: 4px; margin-top: 8px; }
+.offline-manager-ctrl .omc-view input { flex: 1; min-width: 0; font-size: inherit; }
+`;
+
+const format = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+function el(tag, attributes = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === false) return;
+        if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+        else if (key === 'text') node.textContent = value;
+        else node.setAttribute(key, value === true ? '' : value);
+    });
+    children.forEach(child => child && node.appendChild(child));
+    return node;
+}
+
+function progressBar(percent, label) {
+    const bar = el('div', {
+        class: 'omc-bar',
+        role: 'progressbar',
+        'aria-valuemin': 0,
+        'aria-valuemax': 100,
+        'aria-valuenow': percent !== undefined ? Math.round(percent) : undefined,
+        'aria-label': label
+    });
+    bar.appendChild(el('div', { style: `width: ${percent !== undefined ? Math.min(100, percent) : 100}%` }));
+    return bar;
+}
+
+let controlCount = 0;
+
+/**
+ * MapLibre control listing the maps stored by an OfflinePlugin, with live download progress,
+ * load/unload/visibility/delete actions, a storage gauge and, when an extract source is configured,
+ * a "download current view" action.
+ */
+export class OfflineManagerControl {
+    /**
+     * @param {OfflinePlugin} plugin
+     * @param {Object} [options]
+     * @param {Object} [options.extract] - Enables "download current view": { url, minZoom, maxZoom, styleSource }
+     * with `url` a remote PMTiles archive (see OfflinePlugin.downloadExtract())
+     * @param {Object} [options.strings] - Overrides of DEFAULT_STRINGS
+     * @param {Object} [options.theme] - CSS variable values: { background, text, muted, accent, danger, border, fontSize }
+     * @param {boolean} [options.collapsed=true] - Start with the panel closed
+     * @param {Object} [options.loadOptions] - Options passed to OfflinePlugin.loadMap()
+     */
+    constructor(plugin, options = {}) {
+        this.plugin = plugin;
+        this.options = options;
+        this.strings = { ...DEFAULT_STRINGS, ...options.strings };
+        this._id = `offline-manager-${++controlCount}`;
+        // name -> { code, progress, message } of downloads in progress or just finished
+        this._downloads = new Map();
+        // names hidden with the visibility checkbox
+        this._hidden = new Set();
+        // name of the map whose deletion waits for confirmation
+        this._confirming = null;
+        this._maps = [];
+        this._usage = null;
+        this._onPluginEvent = this._onPluginEvent.bind(this);
+    }
+
+    onAdd(map) {
+        this._map = map;
+        if (!document.getElementById(STYLE_ID)) {
+            document.head.appendChild(el('style', { id: STYLE_ID, text: STYLE }));
+        }
+
+        const s = this.strings;
+        this._panel = el('div', { class: 'omc-panel', id: `${this._id}-panel`, role: 'region', 'aria-label': s.title });
+        this._toggle = el('button', {
+            type: 'button',
+            class: 'omc-toggle',
+            'aria-expanded': 'false',
+            'aria-controls': this._panel.id,
+            text: s.toggle,
+            onclick: () => this._setOpen(this._panel.hidden)
+        });
+        this._container = el('div', { class: 'maplibregl-ctrl maplibregl-ctrl-group offline-manager-ctrl' }, [this._toggle, this._panel]);
+        if (this.options.theme) {
+            Object.entries(this.options.theme).forEach(([key, value]) => {
+                this._container.style.setProperty(`--omc-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`, value);
+            });
+        }
+        this._container.addEventListener('keydown', (e) => {
+            // Escape first leaves a pending deletion
+            if (e.key === 'Escape' && this._confirming !== null) {
+                this._cancelDelete();
+                return;
+            }
+            if (e.key === 'Escape' && !this._panel.hidden) {
+                this._setOpen(false);
+                this._toggle.focus();
+            }
+        });
+
+        PLUGIN_EVENTS.forEach(type => this.plugin.addEventListener(type, this._onPluginEvent));
+
+        this._setOpen(this.options.collapsed === false);
+        this.refresh();
+        return this._container;
+    }
+
+    onRemove() {
+        PLUGIN_EVENTS.forEach(type => this.plugin.removeEventListener(type, this._onPluginEvent));
+        this._container.remove();
+        this._map = undefined;
+    }
+
+    getDefaultPosition() {
+        return 'top-right';
+    }
+
+    /**
+     * Reloads the list of stored maps and the storage usage. Failures are shown in the status line.
+     */
+    async refresh() {
+        try {
+            const [maps, usage] = await Promise.all([this.plugin.listMaps(), this.plugin.getStorageUsage()]);
+            this._maps = maps.sort((a, b) => a.name.localeCompare(b.name));
+            this._usage = usage;
+        } catch (e) {
+            this._setMessage(format(this.strings.error, { message: e.message }));
+        }
+        this._render();
+    }
+
+    _setOpen(open) {
+        this._panel.hidden = !open;
+        this._toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    _onPluginEvent(event) {
+        const { name, code, progress, message } = event.detail;
+        const s = this.strings;
+        switch (event.type) {
+            case 'downloadprogress': {
+                // Messages without a percentage (retries, assembling...) keep the last one
+                const previous = this._downloads.get(name);
+                this._downloads.set(name, { code, progress: progress !== undefined ? parseFloat(progress) : previous && previous.progress });
+                // Progress events are frequent: update the bar without rebuilding the list
+                const row = this._panel.querySelector(`[data-name="${CSS.escape(name)}"] .omc-status`);
+                if (row) {
+                    row.replaceChildren(...this._statusNodes(name));
+                    return;
+                }
+                break;
+            }
+            case 'downloadstart':
+                this._downloads.set(name, { code });
+                break;
+            case 'downloadcomplete':
+                this._downloads.delete(name);
+                this.refresh();
+                return;
+            case 'downloaderror':
+            case 'maperror':
+                // Background failures (autoLoad, coverage, hybrid sources) concern no map of the list
+                if (name) this._downloads.set(name, { code: OFFLINE_STATUS.ERROR, message: format(s.error, { message }) });
+                else this._setMessage(format(s.error, { message }));
+                break;
+            case 'downloadpause':
+                this._downloads.set(name, { code, message: s.paused });
+                break;
+            case 'downloadcancel':
+                this._downloads.set(name, { code, message: s.cancelled });
+                break;
+            case 'mapload':
+                this._hidden.delete(name);
+                this._setMessage(format(s.loaded, { name }));
+                break;
+            case 'mapunload':
+                this._setMessage(format(s.unloaded, { name }));
+                break;
+            case 'mapremove':
+                this._downloads.delete(name);
+                this._setMessage(format(s.deleted, { name }));
+                this.refresh();
+                return;
+            case 'mapevict':
+                this._setMessage(format(s.evicted, { names: event.detail.evicted.map(m => m.name).join(', ') }));
+                this.refresh();
+                return;
+            case 'mapchange':
+                // Changes of this tab are handled by the events above
+                if (event.detail.remote) this.refresh();
+                return;
+        }
+        this._render();
+    }
+
+    _setMessage(message) {
+        this._message = message;
+    }
+
+    _statusNodes(name) {
+        const s = this.strings;
+        const download = this._downloads.get(name);
+        if (!download) return [];
+        if (download.message) return [el('span', { text: download.message })];
+        const label = download.progress !== undefined ? format(s.downloading, { progress: download.progress.toFixed(0) }) : s.downloadingUnknown;
+        return [el('span', { text: label }), progressBar(download.progress, label)];
+    }
+
+    /**
+     * @param {string} [focusKey] - data-focus-key of the element to focus, instead of the one having the focus
+     */
+    _render(focusKey) {
+        if (!this._panel) return;
+        const s = this.strings;
+
+        // Rebuilding the list must not lose the keyboard focus
+        const focused = focusKey || (this._panel.contains(document.activeElement) ? document.activeElement.dataset.focusKey : null);
+
+        const children = [el('h2', { text: s.title })];
+
+        if (this._usage) {
+            const label = format(s.storage, { used: mb(this._usage.used), quota: mb(this._usage.quota), percent: this._usage.percent.toFixed(1) });
+            children.push(el('div', { text: label }), progressBar(this._usage.percent, label));
+        } else {
+            children.push(el('div', { class: 'omc-details', text: s.storageUnknown }));
+        }
+
+        // Downloads of maps that are not stored yet come first
+        const stored = new Set(this._maps.map(m => m.name));
+        const rows = [...this._downloads.keys()].filter(name => !stored.has(name)).map(name => el('li', { 'data-name': name }, [
+            el('div', { class: 'omc-name', text: name }),
+            el('div', { class: 'omc-status', 'aria-live': 'polite' }, this._statusNodes(name))
+        ]));
+        this._maps.forEach(info => rows.push(this._renderMap(info)));
+
+        children.push(rows.length > 0 ? el('ul', {}, rows) : el('p', { class: 'omc-details', text: s.empty }));
+        if (this.options.extract) children.push(this._renderDownloadView());
+        children.push(el('div', { class: 'omc-status', role: 'status', text: this._message || '' }));
+
+        this._panel.replaceChildren(...children);
+        if (focused) {
+            const target = this._panel.querySelector(`[data-focus-key="${CSS.escape(focused)}"]`);
+            if (target) target.focus();
+        }
+    }
+
+    _renderMap(info) {
+        const s = this.strings;
+        const { name } = info;
+        const loaded = this._map && this.plugin.isMapLoaded(this._map, name);
+        const checkboxId = `${this._id}-visible-${encodeURIComponent(name)}`;
+        const confirmId = `${this._id}-confirm-${encodeURIComponent(name)}`;
+
+        const details = format(s.details, {
+            size: mb(info.size || 0),
+            date: info.date ? new Date(info.date).toLocaleDateString() : '',
+            minZoom: info.minZoom ?? '?',
+            maxZoom: info.maxZoom ?? '?'
+        });
+        const coverage = info.bounds ? format(s.coverage, { bounds: info.bounds.map(v => v.toFixed(3)).join(', ') }) : undefined;
+
+        const action = (key, label, onclick, extra = {}) => el('button', {
+            type: 'button',
+            text: label,
+            'data-focus-key': `${name}:${key}`,
+            'aria-label': `${label} ${name}`,
+            onclick,
+            ...extra
+        });
+
+        const visible = el('input', {
+            type: 'checkbox',
+            id: checkboxId,
+            'data-focus-key': `${name}:visible`,
+            checked: loaded && !this._hidden.has(name),
+            disabled: !loaded,
+            onchange: (e) => {
+                if (e.target.checked) this._hidden.delete(name);
+                else this._hidden.add(name);
+                this.plugin.toggleMap(this._map, name, e.target.checked);
+            }
+        });
+
+        return el('li', { 'data-name': name }, [
+            el('div', { class: 'omc-name', text: name }),
+            el('div', { class: 'omc-details', text: details, title: coverage }),
+            el('div', { class: 'omc-status', 'aria-live': 'polite' }, this._statusNodes(name)),
+            el('div', { class: 'omc-actions' }, this._confirming === name ? [
+                el('span', { id: confirmId, text: format(s.confirmDelete, { name }) }),
+                action('confirm-delete', s.delete, () => this._deleteMap(name), { class: 'omc-delete', 'aria-describedby': confirmId }),
+                action('cancel-delete', s.cancel, () => this._cancelDelete())
+            ] : [
+                loaded
+                    ? action('unload', s.unload, () => this.plugin.unloadMap(this._map, name))
+                    : action('load', s.load, async () => {
+                        try {
+                            await this.plugin.loadMap(this._map, name, undefined, this.options.loadOptions);
+                        } catch (e) {
+                            this._setMessage(format(s.error, { message: e.message }));
+                            this._render();
+                        }
+                    }),
+                el('label', { for: checkboxId }, [visible, document.createTextNode(` ${s.visible}`)]),
+                info.bounds ? action('zoom', s.zoomTo, () => this._map.fitBounds(info.bounds)) : null,
+                action('delete', s.delete, () => {
+                    this._confirming = name;
+                    // The safe choice gets the focus
+                    this._render(`${name}:cancel-delete`);
+                }, { class: 'omc-delete' })
+            ])
+        ]);
+    }
+
+    _cancelDelete() {
+        const name = this._confirming;
+        this._confirming = null;
+        this._render(`${name}:delete`);
+    }
+
+    async _deleteMap(name) {
+        this._confirming = null;
+        try {
+            await this.plugin.removeMap(this._map, name);
+            // The row is gone: the focus goes back to the toggle button
+            this._toggle.focus();
+        } catch (e) {
+            this._setMessage(format(this.strings.error, { message: e.message }));
+            this._render(`${name}:delete`);
+        }
+    }
+
+    _renderDownloadView() {
+        const s = this.strings;
+        const inputId = `${this._id}-view-name`;
+        const input = el('input', {
+            type: 'text',
+            id: inputId,
+            'data-focus-key': 'view:name',
+            placeholder: format(s.defaultViewName, { date: new Date().toISOString().slice(0, 10) })
+        });
+        return el('div', {}, [
+            el('label', { for: inputId, class: 'omc-details', text: s.viewName }),
+            el('div', { class: 'omc-view' }, [
+                input,
+                el('button', {
+                    type: 'button',
+                    text: s.downloadView,
+                    'data-focus-key': 'view:download',
+                    onclick: () => this._downloadView(input.value.trim() || input.placeholder)
+                })
+            ])
+        ]);
+    }
+
+    async _downloadView(name) {
+        const { url, minZoom = 0, maxZoom, styleSource } = this.options.extract;
+        const bounds = this._map.getBounds();
+        const extract = {
+            // A view showing several world copies is limited to one
+            bbox: [Math.max(-180, bounds.getWest()), bounds.getSouth(), Math.min(180, bounds.getEast()), bounds.getNorth()],
+            minZoom,
+            maxZoom
+        };
+        try {
+            await this.plugin.downloadExtract(url, name, extract, undefined, styleSource);
+        } catch (e) {
+            // Reported through the downloaderror event
+        }
+    }
+}
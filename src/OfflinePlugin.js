@@ -1,21 +1,432 @@
 
-import { PMTiles } from 'pmtiles';
-import { saveMapFile, getMapFile, deleteMapFile, saveMapStyle, getMapStyle, deleteMapStyle } from './db';
-import { BlobSource } from './pmtiles_adapter';
+import {
+    getPendingDownload, savePendingDownload, listPendingDownloads, appendDownloadChunk,
+    clearDownloadChunks, getDownloadBlob, deletePendingDownload, clearTileCache
+} from './db';
+import { openArchive, invalidateArchive, getArchiveCacheStats, resetArchiveCacheStats } from './archive_cache';
+import { planExtract, writeExtract } from './extract';
+import { validateArchive } from './pmtiles_adapter';
+import { IndexedDBStorage, getStorage, registerStorage, withStorage, parseProtocolUrl } from './storage';
+import { OPFSStorage } from './opfs_storage';
+import { createStorage } from './create_storage';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+import { fetchStyleAssets, offlineStyle, mergedSprites, mergedLayer, GLYPHS_PROTOCOL, SPRITE_PROTOCOL } from './style_assets';
+import { registerHybridSource, unregisterHybridSource, getHybridTileJSON, getHybridTile, HYBRID_PROTOCOL } from './hybrid';
+import { toBbox, bboxIntersects, bboxArea, viewBbox, coverageGeoJSON } from './coverage';
+import { defaultStyle } from './default_styles';
+import { acquireMapLock, openMapChannel } from './coordination';
+import { verifyFile } from './integrity';
+import { convertMbtiles } from './mbtiles';
+import { markRequest } from './plugin_request';
 
 export const OFFLINE_STATUS = {
     START: 'START',
     PROGRESS: 'PROGRESS',
     COMPLETE: 'COMPLETE',
     ERROR: 'ERROR',
-    ERROR_QUOTA: 'ERROR_QUOTA'
+    ERROR_QUOTA: 'ERROR_QUOTA',
+    ERROR_INVALID: 'ERROR_INVALID',
+    PAUSED: 'PAUSED',
+    CANCELLED: 'CANCELLED'
 };
 
+// Downloaded bytes are flushed to IndexedDB every CHUNK_SIZE bytes
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Abort reason used by DownloadHandle.pause(): partial data is kept instead of being discarded
+const PAUSE_REASON = 'OFFLINE_DOWNLOAD_PAUSED';
+
+// Failed requests of downloadMap() are retried after delay, 2 * delay, 4 * delay... (ms), up to maxDelay
+const DEFAULT_RETRY = { retries: 5, delay: 1000, maxDelay: 30000 };
+
+// Time given to MapLibre to apply a stored style in loadMap(..., { mode: 'style' }) (ms)
+const STYLE_LOAD_TIMEOUT = 30000;
+
+// Events dispatched for each OFFLINE_STATUS code, per kind of operation
+const DOWNLOAD_EVENTS = {
+    [OFFLINE_STATUS.START]: 'downloadstart',
+    [OFFLINE_STATUS.PROGRESS]: 'downloadprogress',
+    [OFFLINE_STATUS.COMPLETE]: 'downloadcomplete',
+    [OFFLINE_STATUS.ERROR]: 'downloaderror',
+    [OFFLINE_STATUS.ERROR_QUOTA]: 'downloaderror',
+    [OFFLINE_STATUS.ERROR_INVALID]: 'downloaderror',
+    [OFFLINE_STATUS.PAUSED]: 'downloadpause',
+    [OFFLINE_STATUS.CANCELLED]: 'downloadcancel'
+};
+const LOAD_EVENTS = {
+    [OFFLINE_STATUS.COMPLETE]: 'mapload',
+    [OFFLINE_STATUS.ERROR]: 'maperror'
+};
+const REMOVE_EVENTS = {
+    [OFFLINE_STATUS.COMPLETE]: 'mapremove'
+};
+
+// Events after which the set of stored maps (and their coverage) may have changed
+const CATALOG_EVENTS = ['mapchange'];
+
+// Palette of addCoverageLayer()
+const COVERAGE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+/**
+ * Handle on a running download, returned by OfflinePlugin.startDownload()
+ */
+export class DownloadHandle {
+    constructor(plugin, url, name, onProgress, styleSource, options = {}) {
+        this.plugin = plugin;
+        this.url = url;
+        this.name = name;
+        this.onProgress = onProgress;
+        this.styleSource = styleSource;
+        this.options = options;
+        /** @type {'running'|'paused'|'complete'|'cancelled'|'error'} */
+        this.state = 'running';
+        /** Resolves when the download completes, rejects when it is cancelled or fails */
+        this.promise = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        // Callers that only use the handle's methods should not get unhandled rejections
+        this.promise.catch(() => { });
+        this._run();
+    }
+
+    _run() {
+        const controller = new AbortController();
+        this._controller = controller;
+        this.state = 'running';
+        // Invalid arguments are reported without rejecting: the handle must not resolve as complete
+        let reported = null;
+        const onProgress = (payload) => {
+            if (payload.code === OFFLINE_STATUS.ERROR) reported = payload.error || new OfflineError(OFFLINE_ERROR.FAILED, payload.message);
+            if (this.onProgress) this.onProgress(payload);
+        };
+        // A paused run releases the map lock only once it has unwound, so the next one waits for it
+        const previous = this._current || Promise.resolve();
+        this._current = previous
+            .then(() => this.plugin.downloadMap(this.url, this.name, onProgress, this.styleSource, { ...this.options, signal: controller.signal }))
+            .then(() => {
+                if (reported) throw reported;
+                this.state = 'complete';
+                this._resolve();
+            })
+            .catch((e) => {
+                if (controller.signal.aborted && controller.signal.reason === PAUSE_REASON) return;
+                this.state = controller.signal.aborted ? 'cancelled' : 'error';
+                this._reject(e);
+            });
+    }
+
+    /**
+     * Stops the transfer, keeping the bytes received so far
+     */
+    pause() {
+        if (this.state !== 'running') return;
+        this.state = 'paused';
+        this._controller.abort(PAUSE_REASON);
+    }
+
+    /**
+     * Restarts a paused transfer from the last stored byte
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this._run();
+    }
+
+    /**
+     * Stops the transfer and deletes the partial data
+     */
+    async cancel() {
+        if (this.state === 'running') {
+            this._controller.abort();
+        } else if (this.state === 'paused') {
+            this.state = 'cancelled';
+            // The paused run may still be writing its last chunk
+            await this._current;
+            await this.plugin._cancelDownload(this.name, this.plugin._reporter(this.name, this.onProgress));
+            this._reject(new OfflineError(OFFLINE_ERROR.CANCELLED, `Download of ${this.name} cancelled`));
+        }
+    }
+}
+
+/**
+ * Download of the queue, returned by OfflinePlugin.enqueueDownload()
+ */
+export class DownloadJob {
+    constructor(queue, url, name, onProgress, styleSource, options = {}) {
+        const { priority = 0, ...downloadOptions } = options;
+        this.queue = queue;
+        this.url = url;
+        this.name = name;
+        this.priority = priority;
+        this.onProgress = onProgress;
+        this.styleSource = styleSource;
+        this.options = downloadOptions;
+        /**
+         * 'queued' while waiting for a free slot or for the network
+         * @type {'queued'|'running'|'paused'|'complete'|'cancelled'|'error'}
+         */
+        this.state = 'queued';
+        /** Last reported progress in percent, undefined until known */
+        this.progress = undefined;
+        /** DownloadHandle of the transfer, once started */
+        this.handle = null;
+        /** Resolves when the download completes, rejects when it is cancelled or fails */
+        this.promise = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        this.promise.catch(() => { });
+    }
+
+    /**
+     * Stops the transfer, keeping the bytes received so far. The job is not started again until resume().
+     */
+    pause() {
+        if (this.state !== 'queued' && this.state !== 'running') return;
+        if (this.handle) this.handle.pause();
+        this._setState('paused');
+        this.queue._schedule();
+    }
+
+    /**
+     * Puts a paused job back in the queue
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this._setState('queued');
+        this.queue._schedule();
+    }
+
+    /**
+     * Removes the job from the queue, stopping its transfer and deleting the partial data
+     */
+    async cancel() {
+        if (!this.queue.jobs.includes(this)) return;
+        if (this.handle) {
+            // Settled by the handle's promise
+            await this.handle.cancel();
+            return;
+        }
+        this.queue.plugin._reporter(this.name, this.onProgress)(OFFLINE_STATUS.CANCELLED, `Download of ${this.name} cancelled.`);
+        this._settle('cancelled', new OfflineError(OFFLINE_ERROR.CANCELLED, `Download of ${this.name} cancelled`));
+    }
+
+    _start() {
+        this._setState('running');
+        if (this.handle) {
+            this.handle.resume();
+            return;
+        }
+        const onProgress = (payload) => {
+            if (payload.progress !== undefined) this.progress = parseFloat(payload.progress);
+            if (this.onProgress) this.onProgress(payload);
+        };
+        this.handle = this.queue.plugin.startDownload(this.url, this.name, onProgress, this.styleSource, this.options);
+        this.handle.promise.then(
+            () => this._settle('complete'),
+            (e) => this._settle(this.handle.state === 'cancelled' ? 'cancelled' : 'error', e)
+        );
+    }
+
+    _settle(state, error) {
+        this.queue._remove(this);
+        this._setState(state);
+        if (error) this._reject(error);
+        else this._resolve();
+        this.queue._schedule();
+    }
+
+    _setState(state) {
+        this.state = state;
+        this.queue._changed(this);
+    }
+}
+
+/**
+ * Runs DownloadJobs `concurrency` at a time, in queue order. Running transfers are paused
+ * while the browser is offline, and the queue starts again on the online event.
+ */
+class DownloadQueue {
+    constructor(plugin, { concurrency = 2 } = {}) {
+        this.plugin = plugin;
+        this.concurrency = concurrency;
+        // Unfinished jobs, in queue order
+        this.jobs = [];
+        this._onOffline = () => this._pauseRunning();
+        this._onOnline = () => this._schedule();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('offline', this._onOffline);
+            window.addEventListener('online', this._onOnline);
+        }
+    }
+
+    // Pauses the unfinished jobs (their data is kept) and stops following the connection
+    destroy() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('offline', this._onOffline);
+            window.removeEventListener('online', this._onOnline);
+        }
+        this.jobs.filter(j => j.state === 'queued' || j.state === 'running').forEach(job => job.pause());
+    }
+
+    add(job) {
+        if (this.jobs.some(j => j.name === job.name)) {
+            throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `A download of ${job.name} is already queued`);
+        }
+        this._insert(job);
+        this._changed(job);
+        this._schedule();
+    }
+
+    get(name) {
+        const job = this.jobs.find(j => j.name === name);
+        if (!job) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `No queued download for ${name}`);
+        return job;
+    }
+
+    setPriority(name, priority) {
+        const job = this.get(name);
+        job.priority = priority;
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        this._insert(job);
+        this._changed(job);
+        this._schedule();
+    }
+
+    move(name, index) {
+        const job = this.get(name);
+        this.jobs.splice(this.jobs.indexOf(job), 1);
+        this.jobs.splice(Math.max(0, Math.min(index, this.jobs.length)), 0, job);
+        this._changed(job);
+        this._schedule();
+    }
+
+    async clear(running) {
+        const jobs = this.jobs.filter(j => running || j.state !== 'running');
+        await Promise.all(jobs.map(j => j.cancel()));
+        return jobs.map(j => j.name);
+    }
+
+    list() {
+        return this.jobs.map(({ name, url, priority, state, progress }) => ({ name, url, priority, state, progress }));
+    }
+
+    // After the jobs of the same or a higher priority
+    _insert(job) {
+        const index = this.jobs.findIndex(j => j.priority < job.priority);
+        this.jobs.splice(index === -1 ? this.jobs.length : index, 0, job);
+    }
+
+    _remove(job) {
+        const index = this.jobs.indexOf(job);
+        if (index !== -1) this.jobs.splice(index, 1);
+    }
+
+    _schedule() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+        let running = this.jobs.filter(j => j.state === 'running').length;
+        for (const job of this.jobs) {
+            if (running >= this.concurrency) break;
+            if (job.state !== 'queued') continue;
+            job._start();
+            running++;
+        }
+    }
+
+    // Interrupted transfers are queued again, to continue from their last stored byte once online
+    _pauseRunning() {
+        this.jobs.filter(j => j.state === 'running').forEach(job => {
+            job.handle.pause();
+            job._setState('queued');
+        });
+    }
+
+    _changed(job) {
+        this.plugin.dispatchEvent(new CustomEvent('queuechange', {
+            detail: { name: job.name, state: job.state, queue: this.list() }
+        }));
+    }
+}
+
 /**
- * MapLibre Offline Manager Plugin
+ * MapLibre Offline Manager Plugin.
+ * Dispatches CustomEvents (payload in `event.detail`, with the map `name`, null on maperror for background failures):
+ * downloadstart, downloadprogress, downloadcomplete, downloaderror, downloadpause, downloadcancel,
+ * mapload, maperror, mapunload, mapremove, mapevict,
+ * mapchange when a map is added, updated or removed, in this tab or another one,
+ * and queuechange when a download is added to, reordered in or leaves the queue of enqueueDownload().
  */
-export class OfflinePlugin {
+export class OfflinePlugin extends EventTarget {
 
+    /**
+     * @param {Object} [options]
+     * @param {'indexeddb'|'opfs'|Object} [options.storage='indexeddb'] - Storage backend for archives and styles:
+     * 'indexeddb', 'opfs' (Origin Private File System, falls back to IndexedDB when unsupported)
+     * or a custom backend implementing the interface documented in storage.js. See storageType for the backend in use.
+     * @param {number|string} [options.budget] - Storage budget for maps, in bytes or as a percentage
+     * of the quota (e.g. '50%'). Least recently used unpinned maps are evicted to make room for new ones.
+     * @param {Function} [options.onEvict] - Called with the list of evicted maps ({ name, size, lastAccessed })
+     * @param {Object|false} [options.styleAssets] - Glyphs and sprites stored with downloaded styles:
+     * { glyphs, sprite, fonts, ranges } (see fetchStyleAssets() in style_assets.js), or false to keep them online
+     * @param {Object|false} [options.retry] - Retries of failed downloadMap() requests with exponential backoff:
+     * { retries: 5, delay: 1000, maxDelay: 30000 } (delays in ms), or false to fail on the first error
+     * @param {number} [options.concurrency=2] - Downloads of the queue (see enqueueDownload()) running at the same time
+     * @param {Object|Function} [options.sqlite] - sql.js module used by importMbtiles(), or a function resolving to it,
+     * called on the first import (e.g. () => initSqlJs({ locateFile: () => wasmUrl }))
+     */
+    constructor(options = {}) {
+        super();
+        this.storage = createStorage(options.storage);
+        /** @type {'indexeddb'|'opfs'|'custom'} Backend in use, which differs from options.storage after a fallback */
+        this.storageType = this.storage instanceof OPFSStorage ? 'opfs' : this.storage instanceof IndexedDBStorage ? 'indexeddb' : 'custom';
+        // Protocol URLs of this plugin name its backend, so that plugins with different backends coexist
+        this._storageKey = registerStorage(this.storage);
+
+        this.budget = options.budget;
+        this.onEvict = options.onEvict;
+        this.styleAssets = options.styleAssets;
+        this.retry = options.retry;
+        this.sqlite = options.sqlite;
+        // Downloads started with enqueueDownload()
+        this._queue = new DownloadQueue(this, { concurrency: options.concurrency });
+        // name -> Set of MapLibre instances the map is loaded into
+        this._loaded = new Map();
+        // hybrid source id -> Map of MapLibre instance -> listener switching the source on online/offline events
+        this._hybrid = new Map();
+        // Catalog entries used by findMapsAt(), read again when maps are stored or deleted
+        this._coverage = null;
+        CATALOG_EVENTS.forEach(type => this.addEventListener(type, () => { this._coverage = null; }));
+        // MapLibre instance -> state of autoLoad()
+        this._autoLoad = new Map();
+        // MapLibre instance -> Map of coverage layer id -> listener refreshing its data
+        this._coverageLayers = new Map();
+        // MapLibre instance -> Map of map name -> { terrain, sky } the map had before a merged style replaced them,
+        // with the values set in their place (`applied`)
+        this._replacedSettings = new WeakMap();
+        // Changes made by the other tabs
+        this._channel = openMapChannel((message) => this._onRemoteChange(message));
+    }
+
+    /**
+     * Releases what the plugin holds outside of itself: its listeners on the window and on map instances
+     * (queue, hybrid sources, autoLoad()) and its channel to the other tabs. Downloads of the queue are paused,
+     * their data is kept for resumeDownload(). Loaded maps and added sources stay on the maps.
+     * The plugin must not be used afterwards.
+     */
+    destroy() {
+        this._queue.destroy();
+        this._hybrid.forEach(listeners => listeners.forEach(listener => {
+            window.removeEventListener('online', listener);
+            window.removeEventListener('offline', listener);
+        }));
+        this._hybrid.clear();
+        [...this._autoLoad.keys()].forEach(map => this.stopAutoLoad(map));
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+        }
+    }
 
     /**
      * Returns the estimated storage usage and quota in bytes.
@@ -34,27 +445,143 @@ export class OfflinePlugin {
     }
 
     /**
-     * Registers the offline-pmtiles protocol with MapLibre GL JS
+     * Returns the hit/miss counters of the opened-archive cache shared by the protocol handler and loadMap
+     * @returns {{hits: number, misses: number, open: number}}
+     */
+    static getCacheStats() {
+        return getArchiveCacheStats();
+    }
+
+    /**
+     * Resets the hit/miss counters of the opened-archive cache
+     */
+    static resetCacheStats() {
+        resetArchiveCacheStats();
+    }
+
+    /**
+     * Lists the stored maps as lightweight catalog entries (blobs are not loaded)
+     * @returns {Promise<Array<{name: string, size: number, date: Date, url: string|undefined, tileType: string,
+     *   minZoom: number, maxZoom: number, bounds: Array<number>, center: Array<number>, attribution: string|null,
+     *   vectorLayers: Array<string>, hasStyle: boolean}>>}
+     */
+    async listMaps() {
+        return await this.storage.listInfos();
+    }
+
+    /**
+     * Returns the catalog entry of a stored map (see listMaps())
+     * @param {string} name - Name of the map
+     * @returns {Promise<Object|null>} The entry or null if the map is not stored
+     */
+    async getMapInfo(name) {
+        return await this.storage.getInfo(name);
+    }
+
+    /**
+     * Finds the stored maps covering a location, from the bounds and zoom ranges of their headers.
+     * Maps with the most detail at `zoom`, then the smallest ones, come first.
+     * @param {Array<number>|Object} location - [lng, lat], LngLat, [w, s, e, n] or LngLatBounds
+     * @param {Object} [options]
+     * @param {number} [options.zoom] - Only keep maps whose minimum zoom is at most this zoom
+     * @returns {Promise<Array<Object>>} Catalog entries (see listMaps())
+     */
+    async findMapsAt(location, options = {}) {
+        const bbox = toBbox(location);
+        const infos = await this._listCoverage();
+        const { zoom } = options;
+        const detail = (info) => zoom === undefined ? info.maxZoom : Math.min(info.maxZoom, zoom);
+        return infos
+            .filter(info => info.bounds && bboxIntersects(info.bounds, bbox))
+            .filter(info => zoom === undefined || info.minZoom <= zoom)
+            .sort((a, b) => detail(b) - detail(a) || bboxArea(a.bounds) - bboxArea(b.bounds));
+    }
+
+    async _listCoverage() {
+        if (!this._coverage) this._coverage = this.storage.listInfos();
+        try {
+            return await this._coverage;
+        } catch (e) {
+            this._coverage = null;
+            throw e;
+        }
+    }
+
+    /**
+     * Asks the browser to keep the stored maps under storage pressure instead of evicting them.
+     * Browsers may grant it silently, prompt the user, or refuse (e.g. for sites not installed or bookmarked).
+     * @returns {Promise<boolean>} True if storage is persistent
+     */
+    async requestPersistentStorage() {
+        if (!navigator.storage || !navigator.storage.persist) return false;
+        if (navigator.storage.persisted && await navigator.storage.persisted()) return true;
+        return await navigator.storage.persist();
+    }
+
+    /**
+     * @returns {Promise<boolean>} True if the browser already granted persistent storage
+     */
+    async isStoragePersistent() {
+        if (!navigator.storage || !navigator.storage.persisted) return false;
+        return await navigator.storage.persisted();
+    }
+
+    /**
+     * Registers the offline-pmtiles protocol with MapLibre GL JS, the offline-pmtiles-glyphs
+     * and offline-pmtiles-sprite protocols serving the glyphs and sprites of stored styles,
+     * and the offline-pmtiles-hybrid protocol serving hybrid sources (see addHybridSource())
      * @param {Object} maplibregl - The maplibregl instance
      */
     static registerProtocol(maplibregl) {
+        maplibregl.addProtocol(HYBRID_PROTOCOL, async (params, abortController) => {
+            // offline-pmtiles-hybrid://{id} or offline-pmtiles-hybrid://{id}/{z}/{x}/{y}
+            const parts = params.url.replace(`${HYBRID_PROTOCOL}://`, '').split('/');
+            if (parts.length === 1) {
+                return { data: await getHybridTileJSON(parts[0]) };
+            }
+            const [id, z, x, y] = parts;
+            return { data: await getHybridTile(id, parseInt(z), parseInt(x), parseInt(y), abortController?.signal) };
+        });
+
+        maplibregl.addProtocol(GLYPHS_PROTOCOL, async (params) => {
+            // offline-pmtiles-glyphs://{name}/{fontstack}/{range}.pbf?storage={key}
+            const { path: url, storage: key } = parseProtocolUrl(params.url, GLYPHS_PROTOCOL);
+            const [name, ...path] = url.split('/');
+            const storage = getStorage(key);
+            const blob = storage.getAsset ? await storage.getAsset(name, `glyphs/${decodeURIComponent(path.join('/'))}`) : null;
+            // A range that was not downloaded renders without those characters instead of failing
+            return { data: blob ? await blob.arrayBuffer() : new ArrayBuffer(0) };
+        });
+
+        maplibregl.addProtocol(SPRITE_PROTOCOL, async (params) => {
+            // offline-pmtiles-sprite://{name}/{id}{@2x}.{json|png}?storage={key}
+            const { path, storage: key } = parseProtocolUrl(params.url, SPRITE_PROTOCOL);
+            const [name, file] = path.split('/');
+            const storage = getStorage(key);
+            if (!storage.getAsset) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Sprite ${file} of ${name} not found in storage`);
+            // High DPI screens fall back to the standard sprite when no @2x version was downloaded
+            const blob = await storage.getAsset(name, `sprite/${file}`)
+                || await storage.getAsset(name, `sprite/${file.replace('@2x.', '.')}`);
+            if (!blob) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Sprite ${file} of ${name} not found in storage`);
+            return { data: file.endsWith('.json') ? JSON.parse(await blob.text()) : await blob.arrayBuffer() };
+        });
+
         maplibregl.addProtocol('offline-pmtiles', async (params, abortController) => {
-            const url = params.url.replace('offline-pmtiles://', '');
-            const parts = url.split('/');
+            // offline-pmtiles://{name} or offline-pmtiles://{name}/{z}/{x}/{y}, with ?storage={key}
+            const { path, storage: key } = parseProtocolUrl(params.url, 'offline-pmtiles');
+            const parts = path.split('/');
             const name = parts[0];
 
             const checkAborted = () => {
-                if (abortController && abortController.signal.aborted) throw new Error('Aborted');
+                if (abortController && abortController.signal.aborted) {
+                    throw new OfflineError(OFFLINE_ERROR.CANCELLED, `Request ${params.url} aborted`);
+                }
             };
 
             try {
                 checkAborted();
-                const blob = await getMapFile(name);
-                if (!blob) throw new Error(`Map ${name} not found in storage`);
-
-                checkAborted();
-                const source = new BlobSource(blob, name);
-                const p = new PMTiles(source);
+                // Opened archives (and their header/directory caches) are reused across tile requests
+                const p = await openArchive(name, getStorage(key));
 
                 if (parts.length === 1) {
                     // Metadata/Header
@@ -75,16 +602,10 @@ export class OfflinePlugin {
                         maxZoom = parseInt(metadata.maxzoom);
                     }
 
-                    // Determine mimetype from tileType
-                    let mimeType = "application/vnd.mapbox-vector-tile";
-                    if (header.tileType === 2) mimeType = "image/png";
-                    else if (header.tileType === 3) mimeType = "image/jpeg";
-                    else if (header.tileType === 4) mimeType = "image/webp";
-
                     return {
                         data: {
                             tilejson: "3.0.0",
-                            tiles: [`offline-pmtiles://${name}/{z}/{x}/{y}`],
+                            tiles: [withStorage(`offline-pmtiles://${name}/{z}/{x}/{y}`, key)],
                             minzoom: minZoom,
                             maxzoom: maxZoom,
                             bounds: bounds
@@ -107,232 +628,1617 @@ export class OfflinePlugin {
                     }
                 }
             } catch (e) {
-                if (e.message !== 'Aborted') console.error(e);
-                throw e;
+                // Storage and archive failures reach MapLibre's error event as OfflineError
+                if (e instanceof OfflineError) throw e;
+                throw new OfflineError(OFFLINE_ERROR.FAILED, `Failed to read ${params.url}: ${e.message}`, { cause: e });
             }
+            throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Invalid URL ${params.url}, expected offline-pmtiles://{name} or offline-pmtiles://{name}/{z}/{x}/{y}`);
         });
     }
 
     /**
-     * Downloads a PMTiles file ...
+     * Downloads a PMTiles file and stores it under `name`.
+     * Chunks are written to IndexedDB as they arrive, so an interrupted download
+     * (network loss, closed tab) resumes from the last stored byte on the next call.
+     * @param {string} url - URL of the PMTiles file
+     * @param {string} name - Unique name for the map
+     * @param {Function} [onProgress] - Callback ({ code, message, progress })
+     * @param {string|Object} [styleSource] - Style URL, JSON string or style object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting cancels the download and deletes its partial data
+     * @param {Object|false} [options.styleAssets] - Overrides the plugin's styleAssets option
+     * @param {string} [options.sha256] - Expected SHA-256 digest of the archive, as hex
+     * @param {string} [options.integrity] - Expected Subresource Integrity value of the archive, e.g. 'sha384-<base64>'
+     * @param {Object|false} [options.retry] - Overrides the plugin's retry option
      */
-    async downloadMap(url, name, onProgress, styleSource) {
+    async downloadMap(url, name, onProgress, styleSource, options = {}) {
+        const { signal } = options;
 
-        const report = (code, message, progress) => {
-            if (onProgress) onProgress({ code, message, progress });
-            else console.log(`[${code}] ${message} ${progress ? `(${progress}%)` : ''}`);
-        };
+        const report = this._reporter(name, onProgress);
 
         if (!url) {
-            report(OFFLINE_STATUS.ERROR, "Error: No URL provided");
+            report(OFFLINE_STATUS.ERROR, "Error: No URL provided", undefined, {
+                error: new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'No URL provided')
+            });
             return;
         }
 
         report(OFFLINE_STATUS.START, `Starting download of ${name} from ${url}...`);
 
+        let release;
         try {
-
+            // Another tab downloading the same name would write the same chunks
+            release = await acquireMapLock(name);
 
             // 1. Download Map Data
-            let response = await fetch(url);
-            if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
-
-            let blob;
-            if (response.status === 200) {
-                report(OFFLINE_STATUS.PROGRESS, "Server supports full download. Fetching...");
-                blob = await response.blob();
-            } else if (response.status === 206) {
-
-                const contentRange = response.headers.get('Content-Range');
-                if (!contentRange) {
-                    blob = await response.blob();
-                } else {
-                    const parts = contentRange.split('/');
-                    const totalSize = parseInt(parts[1], 10);
-                    if (isNaN(totalSize)) throw new Error("Could not determine file size from Content-Range");
-
-                    report(OFFLINE_STATUS.PROGRESS, `Detected Partial Content. Total: ${(totalSize / 1024 / 1024).toFixed(2)} MB`);
-
-                    const firstChunk = await response.blob();
-                    const chunks = [firstChunk];
-                    let receivedLength = firstChunk.size;
-
-                    let progress = (receivedLength / totalSize * 100).toFixed(1);
-                    report(OFFLINE_STATUS.PROGRESS, `Downloading chunks...`, progress);
-
-                    while (receivedLength < totalSize) {
-                        const nextStart = receivedLength;
-                        const headers = { 'Range': `bytes=${nextStart}-` };
-                        response = await fetch(url, { headers });
-                        if (!response.ok) throw new Error(`Chunk download failed: ${response.status}`);
-                        const nextChunk = await response.blob();
-                        chunks.push(nextChunk);
-                        receivedLength += nextChunk.size;
-                        progress = (receivedLength / totalSize * 100).toFixed(1);
-                        report(OFFLINE_STATUS.PROGRESS, `Downloading chunks...`, progress);
-                    }
-                    report(OFFLINE_STATUS.PROGRESS, "Assembling file...");
-                    blob = new Blob(chunks);
+            let pending = await getPendingDownload(name);
+            if (pending && pending.url !== url) {
+                // A previous download of another URL under the same name cannot be resumed
+                await deletePendingDownload(name);
+                pending = null;
+            }
+
+            let offset = 0;
+            let total = null;
+            if (pending) {
+                offset = pending.offset;
+                total = pending.total;
+                if (offset > 0) {
+                    report(OFFLINE_STATUS.PROGRESS, `Resuming ${name} at ${(offset / 1024 / 1024).toFixed(2)} MB...`, this._percent(offset, total));
                 }
             } else {
-                blob = await response.blob();
+                pending = { name, url, offset: 0, total: null, etag: null, lastModified: null };
             }
+            if (styleSource !== undefined) pending.style = styleSource;
+            else styleSource = pending.style;
+            // Kept with the pending download, so resumed downloads are checked too
+            if (options.sha256 !== undefined) pending.sha256 = options.sha256;
+            if (options.integrity !== undefined) pending.integrity = options.integrity;
+
+            const retry = this._retryOptions(options.retry);
+            let failures = 0;
+            let quotaChecked = false;
+            while (total === null || offset < total) {
+                const start = offset;
+                try {
+                    const headers = {};
+                    if (offset > 0) {
+                        headers['Range'] = `bytes=${offset}-`;
+                        // If-Range makes the server send the whole (new) file if it changed meanwhile
+                        const validator = this._strongEtag(pending.etag) || pending.lastModified;
+                        if (validator) headers['If-Range'] = validator;
+                    }
 
-            report(OFFLINE_STATUS.PROGRESS, `Saving ${name} map data...`);
-            await saveMapFile(name, blob);
+                    signal?.throwIfAborted();
+                    const response = await this._fetch(url, markRequest({ headers, signal, cache: 'no-store' }));
+                    if (!response.ok) {
+                        throw new OfflineError(OFFLINE_ERROR.NETWORK, `Download failed with status ${response.status}`, { status: response.status });
+                    }
 
-            // 2. Handle Style (Optional)
-            if (styleSource) {
+                    const contentRange = response.headers.get('Content-Range');
+                    if (response.status === 206 && contentRange) {
+                        const size = parseInt(contentRange.split('/')[1], 10);
+                        if (isNaN(size)) throw new OfflineError(OFFLINE_ERROR.NETWORK, "Could not determine file size from Content-Range");
+                        if (total === null) {
+                            report(OFFLINE_STATUS.PROGRESS, `Detected Partial Content. Total: ${(size / 1024 / 1024).toFixed(2)} MB`);
+                        }
+                        total = size;
+                    } else {
+                        if (offset > 0) {
+                            report(OFFLINE_STATUS.PROGRESS, "Remote file changed or range not supported. Restarting...");
+                            await clearDownloadChunks(name);
+                            offset = 0;
+                        }
+                        const length = parseInt(response.headers.get('Content-Length'), 10);
+                        total = isNaN(length) ? null : length;
+                        if (response.status === 200) {
+                            report(OFFLINE_STATUS.PROGRESS, "Server supports full download. Fetching...");
+                        }
+                    }
 
-                report(OFFLINE_STATUS.PROGRESS, `Processing style for ${name}...`);
-                let styleJson;
+                    if (!quotaChecked) {
+                        quotaChecked = true;
+                        let size = total;
+                        if (size === null) size = await this._fetchSize(url, signal);
+                        if (size !== null) {
+                            try {
+                                // Maps are only evicted once the download is checked, this fails early when evicting would not be enough
+                                await this._enforceBudget(name, size, [name], false);
+                                // Chunks stay stored until the assembled archive is committed
+                                await this._checkQuota(size - offset + this._commitBytes(size));
+                            } catch (e) {
+                                if (response.body) response.body.cancel().catch(() => { });
+                                throw e;
+                            }
+                        }
+                    }
 
-                if (typeof styleSource === 'string' && styleSource.trim() !== "") {
-                    // Try to parse as JSON first
-                    try {
-                        styleJson = JSON.parse(styleSource);
-                        report(OFFLINE_STATUS.PROGRESS, `Parsed style from JSON string.`);
-                    } catch (e) {
-                        // Not JSON, treat as URL
-                        const styleResp = await fetch(styleSource);
-                        if (!styleResp.ok) throw new Error(`Failed to fetch style: ${styleResp.status}`);
-                        styleJson = await styleResp.json();
+                    if (offset === 0) {
+                        pending.etag = response.headers.get('ETag');
+                        pending.lastModified = response.headers.get('Last-Modified');
                     }
-                } else if (typeof styleSource === 'object') {
-                    styleJson = styleSource;
-                }
+                    pending.offset = offset;
+                    pending.total = total;
+                    await savePendingDownload(pending);
+
+                    offset = await this._storeResponseChunks(response, name, offset, total, report, signal);
 
-                if (styleJson) {
-                    await saveMapStyle(name, styleJson);
-                    report(OFFLINE_STATUS.PROGRESS, `Saved custom style for ${name}.`);
+                    // Without a Content-Range the body was the whole file
+                    if (response.status !== 206 || !contentRange) {
+                        total = offset;
+                    }
+                } catch (e) {
+                    if (signal?.aborted || !this._isRetryable(e) || failures >= retry.retries) throw e;
+                    // Chunks stored before the failure are kept: the next request continues after them
+                    const stored = await getPendingDownload(name);
+                    if (stored) offset = stored.offset;
+                    failures = offset > start ? 1 : failures + 1;
+                    const delay = Math.min(retry.maxDelay, retry.delay * 2 ** (failures - 1));
+                    report(OFFLINE_STATUS.PROGRESS, `${e.message}. Retrying in ${(delay / 1000).toFixed(1)} s (${failures}/${retry.retries})...`, this._percent(offset, total), { retry: failures });
+                    await this._sleep(delay, signal);
                 }
             }
 
+            report(OFFLINE_STATUS.PROGRESS, "Assembling file...");
+            const blob = await getDownloadBlob(name);
+
+            // Whatever the server sent (error page, truncated file...) is checked before it can replace the stored map
+            report(OFFLINE_STATUS.PROGRESS, `Checking ${name}...`);
+            try {
+                await validateArchive(blob, `Download of ${name}`);
+                await verifyFile(blob, { sha256: pending.sha256, integrity: pending.integrity }, `Download of ${name}`);
+            } catch (e) {
+                // Resuming would assemble the same bytes again
+                if (e.code === OFFLINE_ERROR.INVALID_ARCHIVE || e.code === OFFLINE_ERROR.INTEGRITY) await deletePendingDownload(name);
+                throw e;
+            }
+
+            // 2. Handle Style (Optional)
+            const style = await this._resolveStyle(name, styleSource, report);
+            const assets = await this._fetchStyleAssets(name, style, report, signal, options.styleAssets);
+
+            // Last point where the download can be stopped: afterwards the map is committed
+            signal?.throwIfAborted();
+
+            // 3. Commit map and style together: until now a previous version stays usable
+            await this._enforceBudget(name, blob.size);
+            report(OFFLINE_STATUS.PROGRESS, `Saving ${name} map data...`);
+            const change = await this._changeType(name);
+            await this.storage.saveArchive(name, blob, {
+                url,
+                etag: pending.etag,
+                lastModified: pending.lastModified,
+                styleUrl: style ? style.url : undefined
+            }, style ? style.json : undefined, assets);
+            await deletePendingDownload(name);
+            invalidateArchive(name, this.storage);
+            this._notifyChange(name, change);
+
             report(OFFLINE_STATUS.COMPLETE, `Saved ${name}! Ready to load.`);
 
         } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                report(OFFLINE_STATUS.ERROR_QUOTA, "Storage quota exceeded! Please delete old maps.");
-            } else {
-                report(OFFLINE_STATUS.ERROR, "Error: " + e.message);
-            }
-            throw e;
+            throw await this._downloadError(e, name, signal, report);
+        } finally {
+            if (release) release();
         }
     }
 
     /**
-     * Deletes a map (and its style) from storage and removes it from the map instance
-     * @param {Object} map - MapLibre instance
-     * @param {string} name - Name of the map
-     * @param {Function} [onProgress]
+     * Downloads only the tiles of a region from a remote PMTiles archive and stores them
+     * as a new archive, served by the offline-pmtiles protocol like any downloaded map.
+     * The remote header and directories are read with HTTP range requests.
+     * @param {string} url - URL of the remote PMTiles archive
+     * @param {string} name - Unique name for the map
+     * @param {Object} extract - { bbox: [w, s, e, n] } or { polygon: GeoJSON }, plus { minZoom, maxZoom }
+     * @param {Function} [onProgress] - Callback ({ code, message, progress })
+     * @param {string|Object} [styleSource] - Style URL, JSON string or style object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting cancels the extract
+     * @param {Object|false} [options.styleAssets] - Overrides the plugin's styleAssets option
      */
-    async removeMap(map, name, onProgress) {
-        const report = (code, message) => {
-            if (onProgress) onProgress({ code, message });
-            else console.log(`[${code}] ${message}`);
-        };
+    async downloadExtract(url, name, extract, onProgress, styleSource, options = {}) {
+        const { signal } = options;
 
-        // Remove from MapLibre
-        if (map) {
-            this._cleanup(map, name);
+        const report = this._reporter(name, onProgress);
+
+        if (!url) {
+            report(OFFLINE_STATUS.ERROR, "Error: No URL provided", undefined, {
+                error: new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'No URL provided')
+            });
+            return;
         }
 
-        // Remove from Storage
-        await deleteMapFile(name);
-        await deleteMapStyle(name); // Also delete the style
-        report(OFFLINE_STATUS.COMPLETE, `Storage (map + style) cleared for ${name}.`);
+        report(OFFLINE_STATUS.START, `Starting extract of ${name} from ${url}...`);
+
+        // Tile data is staged like a download until the archive is committed
+        const staging = `extract:${name}`;
+        let release;
+        try {
+            release = await acquireMapLock(name);
+            const plan = await planExtract(url, extract, signal);
+            signal?.throwIfAborted();
+            report(OFFLINE_STATUS.PROGRESS, `Extract: ${plan.tileCount} tiles, z${plan.minZoom}-${plan.maxZoom}, ~${(plan.bytes / 1024 / 1024).toFixed(2)} MB`);
+            await this._enforceBudget(name, plan.bytes, [name], false);
+            // Tile data is staged before the archive is committed
+            await this._checkQuota(plan.bytes + this._commitBytes(plan.bytes));
+
+            const blob = await writeExtract(plan, (fetched) => {
+                report(OFFLINE_STATUS.PROGRESS, `Downloading tiles...`, this._percent(fetched, plan.bytes));
+            }, signal, await this._stagingOutput(staging));
+            const style = await this._resolveStyle(name, styleSource, report);
+            const assets = await this._fetchStyleAssets(name, style, report, signal, options.styleAssets);
+            signal?.throwIfAborted();
+
+            await this._enforceBudget(name, blob.size);
+            report(OFFLINE_STATUS.PROGRESS, `Saving ${name} map data...`);
+            const change = await this._changeType(name);
+            await this.storage.saveArchive(name, blob, {
+                url,
+                etag: plan.header.etag,
+                extract,
+                styleUrl: style ? style.url : undefined
+            }, style ? style.json : undefined, assets);
+            invalidateArchive(name, this.storage);
+            this._notifyChange(name, change);
+
+            report(OFFLINE_STATUS.COMPLETE, `Saved ${name}! Ready to load.`);
+        } catch (e) {
+            throw await this._downloadError(e, name, signal, report);
+        } finally {
+            await deletePendingDownload(staging).catch(() => { });
+            if (release) release();
+        }
     }
 
     /**
-     * Unloads a map from the map instance (removes layers/source) but keeps it in storage
-     * @param {Object} map - MapLibre instance
-     * @param {string} name - Name of the map
+     * Estimates an extract without downloading tiles (only the header and directories are read)
+     * @param {string} url - URL of the remote PMTiles archive
+     * @param {Object} extract - Same as downloadExtract()
+     * @returns {Promise<{tileCount: number, bytes: number, minZoom: number, maxZoom: number, bounds: Array<number>}>}
      */
-    unloadMap(map, name) {
-        this._cleanup(map, name);
+    async estimateExtract(url, extract) {
+        const { tileCount, bytes, minZoom, maxZoom, bounds } = await planExtract(url, extract);
+        return { tileCount, bytes, minZoom, maxZoom, bounds };
     }
 
     /**
-     * Toggles the visibility of a map
-     * @param {Object} map - MapLibre instance
+     * Pins a map so it is never evicted to respect the storage budget
      * @param {string} name - Name of the map
-     * @param {boolean} visible - True to show, false to hide
+     * @param {boolean} [pinned=true] - False to unpin
      */
-    toggleMap(map, name, visible) {
-        const style = map.getStyle();
-        if (style && style.layers) {
-            style.layers.forEach(l => {
-                if (l.id.startsWith(`${name}-`)) {
-                    map.setLayoutProperty(l.id, 'visibility', visible ? 'visible' : 'none');
-                }
-            });
-        }
+    async pinMap(name, pinned = true) {
+        if (!await this.storage.getInfo(name)) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} not found in storage`);
+        await this.storage.setPinned(name, pinned);
     }
 
     /**
-     * Loads a map from storage into the map instance
-     * @param {Object} map - MapLibre instance
-     * @param {string} name - Name of the map in storage
-     * @param {Function} [onProgress]
+     * Storage budget in bytes, or null if none is configured
      */
-    async loadMap(map, name, onProgress) {
-        const report = (code, message) => {
-            if (onProgress) onProgress({ code, message });
-            else console.log(`[${code}] ${message}`);
-        };
+    async _getBudget() {
+        if (this.budget === undefined || this.budget === null) return null;
+        if (typeof this.budget === 'number') return this.budget;
+
+        const match = /^(\d+(?:\.\d+)?)\s*%$/.exec(String(this.budget).trim());
+        if (!match) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Invalid storage budget: ${this.budget}`);
+        const usage = await this.getStorageUsage();
+        return usage ? usage.quota * parseFloat(match[1]) / 100 : null;
+    }
 
-        const blob = await getMapFile(name);
-        if (!blob) {
-            alert(`Map ${name} not found!`);
-            return;
+    /**
+     * Evicts least recently used unpinned maps (with their styles) until `size` more bytes fit in the budget.
+     * The maps being replaced (`keep`) are not counted and never evicted, nor are the maps of packages,
+     * which are only removed as a whole.
+     * It runs right before the commit, once the new data is checked: a failed download evicts nothing.
+     * @param {string} name - Map (or package) about to be stored
+     * @param {number} size - Bytes about to be stored
+     * @param {Array<string>} [keep] - Maps about to be replaced, defaults to `name`
+     * @param {boolean} [evict=true] - False only checks that evicting would make enough room, before downloading
+     */
+    async _enforceBudget(name, size, keep = [name], evict = true) {
+        const budget = await this._getBudget();
+        if (budget === null || !size) return;
+
+        const maps = (await this.storage.listInfos()).filter(m => !keep.includes(m.name));
+        let used = maps.reduce((sum, m) => sum + (m.size || 0), 0);
+        if (used + size <= budget) return;
+
+        const lastUse = (m) => new Date(m.lastAccessed || m.date || 0).getTime();
+        const packages = this.storage.listPackages ? await this.storage.listPackages() : [];
+        const packaged = new Set(packages.flatMap(p => p.archives.map(a => a.name)));
+        const candidates = maps.filter(m => !m.pinned && !packaged.has(m.name)).sort((a, b) => lastUse(a) - lastUse(b));
+        const evicted = [];
+        for (const m of candidates) {
+            if (used + size <= budget) break;
+            if (evict && !await this._evict(m.name)) continue;
+            used -= m.size || 0;
+            evicted.push({ name: m.name, size: m.size, lastAccessed: m.lastAccessed });
+        }
+        if (evict && evicted.length > 0) {
+            if (this.onEvict) this.onEvict(evicted);
+            this.dispatchEvent(new CustomEvent('mapevict', { detail: { name, evicted } }));
         }
 
-        // Cleanup existing layers for THIS map name to avoid duplicates/collisions if reloaded
-        this._cleanup(map, name);
-
-        // Analyze file
-        const source = new BlobSource(blob, name);
-        const p = new PMTiles(source);
-        const header = await p.getHeader();
-        const metadata = await p.getMetadata();
+        if (used + size > budget) {
+            throw this._quotaError(`Storage budget exceeded: ${this._mb(size)} MB required, ${this._mb(Math.max(0, budget - used))} MB left after evicting unpinned maps.`, size, Math.max(0, budget - used));
+        }
+    }
 
+    /**
+     * @returns {Promise<boolean>} False when the map is being written by another tab, and was kept
+     */
+    async _evict(name) {
+        let release;
+        try {
+            release = await acquireMapLock(name);
+        } catch (e) {
+            if (e.code === OFFLINE_ERROR.LOCKED) return false;
+            throw e;
+        }
+        try {
+            const maps = this._loaded.get(name);
+            if (maps) maps.forEach(map => this._cleanup(map, name));
+            await this.storage.deleteArchive(name);
+            await this.storage.deleteStyle(name);
+            invalidateArchive(name, this.storage);
+        } finally {
+            release();
+        }
+        this._notifyChange(name, 'remove');
+        return true;
+    }
 
-        const isVector = header.tileType === 1;
+    // 'update' when a map is stored under this name already, 'add' otherwise
+    async _changeType(name) {
+        return await this.storage.getInfo(name) ? 'update' : 'add';
+    }
 
+    /**
+     * Tells the listeners of this plugin and the other tabs that a stored map changed
+     * @param {string} name
+     * @param {'add'|'update'|'remove'} change
+     */
+    _notifyChange(name, change) {
+        if (this._channel) this._channel.post(name, change);
+        this.dispatchEvent(new CustomEvent('mapchange', { detail: { name, change, remote: false } }));
+    }
 
-        let attribution = undefined;
-        if (metadata && metadata.attribution) {
-            attribution = metadata.attribution;
+    // A map changed in another tab: opened archives are stale, removed maps are unloaded
+    _onRemoteChange({ name, change }) {
+        invalidateArchive(name);
+        if (change === 'remove') {
+            const maps = this._loaded.get(name);
+            if (maps) [...maps].forEach(map => this.unloadMap(map, name));
         }
+        this.dispatchEvent(new CustomEvent('mapchange', { detail: { name, change, remote: true } }));
+    }
 
+    _quotaError(message, required, available) {
+        return new OfflineError(OFFLINE_ERROR.QUOTA_EXCEEDED, message, { required, available });
+    }
 
-        const sourceId = `${name}-source`;
-        map.addSource(sourceId, {
-            type: isVector ? 'vector' : 'raster',
-            url: `offline-pmtiles://${name}`,
-            tileSize: isVector ? 512 : 256,
-            attribution: attribution
-        });
+    _mb(bytes) {
+        return (bytes / 1024 / 1024).toFixed(2);
+    }
+
+    // Bytes written by saving an archive of `size` bytes, see commitBytes() in storage.js
+    _commitBytes(size) {
+        return this.storage.commitBytes ? this.storage.commitBytes(size) : size;
+    }
+
+    /**
+     * Throws a QuotaExceededError (with `required` and `available` bytes) if `required` bytes
+     * do not fit in the remaining storage quota. Does nothing when the quota cannot be estimated.
+     * @param {number} required - Bytes about to be stored
+     */
+    async _checkQuota(required) {
+        const usage = await this.getStorageUsage();
+        if (!usage || !required) return;
+
+        const available = Math.max(0, usage.quota - usage.used);
+        if (required > available) {
+            throw this._quotaError(`Not enough storage: ${this._mb(required)} MB required, ${this._mb(available)} MB available. Please delete old maps.`, required, available);
+        }
+    }
 
+    /**
+     * Size of a remote file from a HEAD request, or null if unknown
+     */
+    async _fetchSize(url, signal) {
+        try {
+            const response = await fetch(url, markRequest({ method: 'HEAD', signal }));
+            const length = parseInt(response.headers.get('Content-Length'), 10);
+            return response.ok && !isNaN(length) ? length : null;
+        } catch (e) {
+            signal?.throwIfAborted();
+            return null;
+        }
+    }
 
-        if (isVector) {
-            // Check for custom style first
-            const storedStyle = await getMapStyle(name);
-            if (storedStyle && storedStyle.layers) {
-                this._addCustomStyleLayers(map, storedStyle, sourceId, name);
+    /**
+     * Reports a failed download and returns the OfflineError to throw
+     */
+    async _downloadError(e, name, signal, report) {
+        if (signal && signal.aborted) {
+            if (signal.reason === PAUSE_REASON) {
+                report(OFFLINE_STATUS.PAUSED, `Download of ${name} paused.`);
+                return new OfflineError(OFFLINE_ERROR.PAUSED, `Download of ${name} paused`);
+            }
+            await this._cancelDownload(name, report);
+            return new OfflineError(OFFLINE_ERROR.CANCELLED, `Download of ${name} cancelled`);
+        }
+
+        let error = e;
+        if (!(e instanceof OfflineError)) {
+            const code = e.name === 'QuotaExceededError' ? OFFLINE_ERROR.QUOTA_EXCEEDED : OFFLINE_ERROR.FAILED;
+            error = new OfflineError(code, e.message, { cause: e });
+        }
+
+        if (error.code === OFFLINE_ERROR.INVALID_ARCHIVE || error.code === OFFLINE_ERROR.INTEGRITY) {
+            report(OFFLINE_STATUS.ERROR_INVALID, "Error: " + error.message, undefined, { error });
+        } else if (error.code === OFFLINE_ERROR.QUOTA_EXCEEDED) {
+            if (error.required !== undefined) {
+                report(OFFLINE_STATUS.ERROR_QUOTA, error.message, undefined, { error, required: error.required, available: error.available });
             } else {
-                this._addVectorLayers(map, metadata, sourceId, name);
+                report(OFFLINE_STATUS.ERROR_QUOTA, "Storage quota exceeded! Please delete old maps.", undefined, { error });
             }
         } else {
-            this._addRasterLayer(map, sourceId, name);
+            report(OFFLINE_STATUS.ERROR, "Error: " + error.message, undefined, { error });
+        }
+        return error;
+    }
+
+    /**
+     * fetch() turning network failures into OfflineError (aborts are rethrown as is)
+     */
+    async _fetch(url, init) {
+        try {
+            return await fetch(url, init);
+        } catch (e) {
+            if (init && init.signal && init.signal.aborted) throw e;
+            throw new OfflineError(OFFLINE_ERROR.NETWORK, `Network error while fetching ${url}`, { cause: e });
+        }
+    }
+
+    // Retry settings of a download: its own, or the plugin's
+    _retryOptions(retry = this.retry) {
+        if (retry === false) return { ...DEFAULT_RETRY, retries: 0 };
+        return { ...DEFAULT_RETRY, ...retry };
+    }
+
+    _isRetryable(e) {
+        if (!(e instanceof OfflineError) || e.code !== OFFLINE_ERROR.NETWORK) return false;
+        // Other client errors will not go away by retrying
+        return e.status === undefined || e.status >= 500 || e.status === 408 || e.status === 429;
+    }
+
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Returns a report(code, message, progress, details) function calling `onProgress`
+     * and dispatching the event matching the code
+     * @param {string} name - Name of the map
+     * @param {Function} [onProgress]
+     * @param {Object} [events] - Event type per OFFLINE_STATUS code
+     */
+    _reporter(name, onProgress, events = DOWNLOAD_EVENTS) {
+        return (code, message, progress, details) => {
+            const payload = { code, message, progress, ...details };
+            if (onProgress) onProgress(payload);
+            const type = events[code];
+            if (type) this.dispatchEvent(new CustomEvent(type, { detail: { name, ...payload } }));
+        };
+    }
+
+    // Failures of background work (autoLoad, coverage layers, hybrid sources) no caller awaits: maperror without a map name
+    _reportError(e, message, details) {
+        const error = e instanceof OfflineError ? e : new OfflineError(OFFLINE_ERROR.FAILED, `${message}: ${e.message}`, { cause: e });
+        this._reporter(null, undefined, LOAD_EVENTS)(OFFLINE_STATUS.ERROR, error.message, undefined, { error, ...details });
+    }
+
+    /**
+     * Resolves a style source (URL, JSON string or object)
+     * @returns {Promise<{json: Object, url: string|undefined}|null>}
+     */
+    async _resolveStyle(name, styleSource, report) {
+        if (!styleSource) return null;
+
+        report(OFFLINE_STATUS.PROGRESS, `Processing style for ${name}...`);
+        let styleJson;
+        let styleUrl;
+
+        if (typeof styleSource === 'string' && styleSource.trim() !== "") {
+            // Try to parse as JSON first
+            try {
+                styleJson = JSON.parse(styleSource);
+                report(OFFLINE_STATUS.PROGRESS, `Parsed style from JSON string.`);
+            } catch (e) {
+                // Not JSON, treat as URL
+                const styleResp = await this._fetch(styleSource);
+                if (!styleResp.ok) {
+                    throw new OfflineError(OFFLINE_ERROR.NETWORK, `Failed to fetch style: ${styleResp.status}`, { status: styleResp.status });
+                }
+                styleJson = await styleResp.json();
+                styleUrl = styleSource;
+            }
+        } else if (styleSource instanceof Blob) {
+            // Style sidecar file, e.g. from exportMap()
+            styleJson = JSON.parse(await styleSource.text());
+        } else if (typeof styleSource === 'object') {
+            styleJson = styleSource;
+        }
+
+        return styleJson ? { json: styleJson, url: styleUrl } : null;
+    }
+
+    /**
+     * Fetches the glyphs and sprites of a resolved style
+     * @returns {Promise<Array<{key: string, blob: Blob}>|undefined>} undefined when there is no style
+     */
+    async _fetchStyleAssets(name, style, report, signal, options = this.styleAssets) {
+        if (!style) return undefined;
+        // Assets of a previous style are replaced even when none are fetched
+        if (options === false) return [];
+
+        report(OFFLINE_STATUS.PROGRESS, `Downloading glyphs and sprites for ${name}...`);
+        const { assets, missing } = await fetchStyleAssets(style.json, {
+            ...options,
+            baseUrl: style.url,
+            signal,
+            onProgress: (done, total) => report(OFFLINE_STATUS.PROGRESS, `Downloading glyphs and sprites...`, this._percent(done, total))
+        });
+        if (missing > 0) {
+            report(OFFLINE_STATUS.PROGRESS, `${missing} glyph or sprite files could not be fetched, they will be missing offline.`);
+        }
+        return assets;
+    }
+
+    /**
+     * Streams a response body into IndexedDB in chunks of CHUNK_SIZE bytes
+     * @returns {Promise<number>} The offset after the last stored byte
+     */
+    async _storeResponseChunks(response, name, offset, total, report, signal, onStored) {
+        if (!response.body || !response.body.getReader) {
+            const blob = await response.blob();
+            await appendDownloadChunk(name, offset, blob);
+            report(OFFLINE_STATUS.PROGRESS, `Downloading chunks...`, this._percent(offset + blob.size, total));
+            if (onStored) onStored(offset + blob.size);
+            return offset + blob.size;
+        }
+
+        const reader = response.body.getReader();
+        let parts = [];
+        let buffered = 0;
+
+        const flush = async () => {
+            if (buffered === 0) return;
+            await appendDownloadChunk(name, offset, new Blob(parts));
+            offset += buffered;
+            parts = [];
+            buffered = 0;
+            report(OFFLINE_STATUS.PROGRESS, `Downloading chunks...`, this._percent(offset, total));
+            if (onStored) onStored(offset);
+        };
+
+        while (true) {
+            let chunk;
+            try {
+                chunk = await reader.read();
+            } catch (e) {
+                if (signal && signal.aborted) throw e;
+                throw new OfflineError(OFFLINE_ERROR.NETWORK, `Connection lost while downloading ${name}`, { cause: e });
+            }
+            const { done, value } = chunk;
+            if (done) break;
+            signal?.throwIfAborted();
+            parts.push(value);
+            buffered += value.byteLength;
+            if (buffered >= CHUNK_SIZE) await flush();
+        }
+        await flush();
+        return offset;
+    }
+
+    async _cancelDownload(name, report) {
+        await deletePendingDownload(name);
+        report(OFFLINE_STATUS.CANCELLED, `Download of ${name} cancelled.`);
+    }
+
+    _percent(received, total) {
+        return total ? (received / total * 100).toFixed(1) : undefined;
+    }
+
+    _strongEtag(etag) {
+        // Weak validators are not allowed in If-Range
+        return etag && !etag.startsWith('W/') ? etag : null;
+    }
+
+    /**
+     * Imports a PMTiles archive from a local file (file picker, drag and drop, shared file...)
+     * @param {File|Blob} file - The PMTiles archive
+     * @param {string} name - Unique name for the map
+     * @param {string|Object|Blob} [styleSource] - Style URL, JSON string, style object or style file
+     * @param {Function} [onProgress] - Callback ({ code, message, progress })
+     */
+    async importMap(file, name, styleSource, onProgress) {
+        const report = this._reporter(name, onProgress);
+
+        if (!(file instanceof Blob)) {
+            report(OFFLINE_STATUS.ERROR, "Error: No file provided", undefined, {
+                error: new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'No file provided')
+            });
+            return;
+        }
+
+        report(OFFLINE_STATUS.START, `Starting import of ${name}${file.name ? ` from ${file.name}` : ''}...`);
+
+        let release;
+        try {
+            release = await acquireMapLock(name);
+            report(OFFLINE_STATUS.PROGRESS, `Checking PMTiles header...`);
+            await validateArchive(file, file.name || 'File');
+            await this._saveImport(file, name, styleSource, report);
+        } catch (e) {
+            throw await this._downloadError(e, name, undefined, report);
+        } finally {
+            if (release) release();
+        }
+    }
+
+    /**
+     * Imports an MBTiles file, converted in the browser to a PMTiles archive that loadMap() and the
+     * offline-pmtiles protocol serve like any other stored map. Needs the `sqlite` option (sql.js).
+     * The whole file is read in memory.
+     * @param {File|Blob} file - The MBTiles file
+     * @param {string} name - Unique name for the map
+     * @param {string|Object|Blob} [styleSource] - Style URL, JSON string, style object or style file
+     * @param {Function} [onProgress] - Callback ({ code, message, progress })
+     */
+    async importMbtiles(file, name, styleSource, onProgress) {
+        const report = this._reporter(name, onProgress);
+
+        if (!(file instanceof Blob)) {
+            report(OFFLINE_STATUS.ERROR, "Error: No file provided", undefined, {
+                error: new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'No file provided')
+            });
+            return;
         }
 
-        const typeStr = isVector ? "Vector" : "Raster";
-        const layerCount = (metadata?.vector_layers || []).length || (isVector ? 0 : 1);
-        report(OFFLINE_STATUS.COMPLETE, `Map ${name} loaded (${typeStr})! Layers: ${layerCount}`);
+        report(OFFLINE_STATUS.START, `Starting import of ${name}${file.name ? ` from ${file.name}` : ''}...`);
+
+        // Converted tile data goes to the chunk store, so it is not held in memory until it is saved
+        const staging = `import:${name}`;
+        let release;
+        try {
+            release = await acquireMapLock(name);
+            report(OFFLINE_STATUS.PROGRESS, `Loading SQLite...`);
+            const SQL = await this._loadSqlite();
+
+            report(OFFLINE_STATUS.PROGRESS, `Converting ${name} to PMTiles...`);
+            const archive = await convertMbtiles(SQL, file, (done, total) => {
+                report(OFFLINE_STATUS.PROGRESS, `Converting tiles (${done}/${total})...`, this._percent(done, total));
+            }, await this._stagingOutput(staging));
+            await validateArchive(archive, `Conversion of ${name}`);
+            await this._saveImport(archive, name, styleSource, report);
+        } catch (e) {
+            throw await this._downloadError(e, name, undefined, report);
+        } finally {
+            await deletePendingDownload(staging).catch(() => { });
+            if (release) release();
+        }
+    }
+
+    /**
+     * Output of the archive writers storing the tile data as download chunks under `staging`,
+     * so that it is not held in memory. The caller deletes them with deletePendingDownload().
+     */
+    async _stagingOutput(staging) {
+        await clearDownloadChunks(staging);
+        let offset = 0;
+        return {
+            write: async (blob) => {
+                await appendDownloadChunk(staging, offset, blob);
+                offset += blob.size;
+            },
+            read: () => getDownloadBlob(staging)
+        };
+    }
+
+    async _loadSqlite() {
+        if (!this.sqlite) {
+            throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'Importing MBTiles needs the sqlite option of the plugin (sql.js)');
+        }
+        if (!this._sqlite) this._sqlite = Promise.resolve(typeof this.sqlite === 'function' ? this.sqlite() : this.sqlite);
+        try {
+            return await this._sqlite;
+        } catch (e) {
+            // The next import tries to load it again
+            this._sqlite = null;
+            throw e;
+        }
+    }
+
+    /**
+     * Stores an imported archive with its style, in place of any map of the same name
+     */
+    async _saveImport(blob, name, styleSource, report) {
+        await this._enforceBudget(name, blob.size, [name], false);
+        // Converted MBTiles data is staged already, and counted in the usage
+        await this._checkQuota(this._commitBytes(blob.size));
+
+        const style = await this._resolveStyle(name, styleSource, report);
+        const assets = await this._fetchStyleAssets(name, style, report);
+
+        await this._enforceBudget(name, blob.size);
+        report(OFFLINE_STATUS.PROGRESS, `Saving ${name} map data...`);
+        const change = await this._changeType(name);
+        await this.storage.saveArchive(name, blob, {}, style ? style.json : undefined, assets);
+        invalidateArchive(name, this.storage);
+        this._notifyChange(name, change);
+
+        report(OFFLINE_STATUS.COMPLETE, `Imported ${name}! Ready to load.`);
+    }
+
+    /**
+     * Exports a stored map as files that can be saved or shared, and imported with importMap()
+     * @param {string} name - Name of the map
+     * @returns {Promise<{archive: File, style: File|null}>} `style` is null when no style is stored
+     */
+    async exportMap(name) {
+        const blob = await this.storage.getArchive(name);
+        if (!blob) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} not found in storage`);
+
+        const archive = new File([blob], `${name}.pmtiles`, { type: 'application/vnd.pmtiles' });
+        const styleJson = await this.storage.getStyle(name);
+        const style = styleJson
+            ? new File([JSON.stringify(styleJson)], `${name}.style.json`, { type: 'application/json' })
+            : null;
+
+        return { archive, style };
+    }
+
+    /**
+     * Checks whether stored maps changed on their server, using conditional HEAD requests
+     * against the ETag/Last-Modified recorded at download time.
+     * @param {string} [name] - Map to check. All maps are checked when omitted.
+     * @returns {Promise<Array<{name: string, url: string|undefined, stale: boolean|null, error?: string}>>}
+     * `stale` is null when it cannot be determined (no source URL, no validators or request failed)
+     */
+    async checkForUpdates(name) {
+        let records;
+        if (name) {
+            const record = await this.storage.getArchiveRecord(name);
+            if (!record) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} not found in storage`);
+            records = [record];
+        } else {
+            records = await this.storage.listArchives();
+        }
+
+        return Promise.all(records.map(async ({ name, url, etag, lastModified }) => {
+            if (!url) return { name, url, stale: null };
+
+            const headers = {};
+            if (etag) headers['If-None-Match'] = etag;
+            if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+            try {
+                const response = await fetch(url, markRequest({ method: 'HEAD', headers, cache: 'no-store' }));
+                if (response.status === 304) return { name, url, stale: false };
+                if (!response.ok) throw new Error(`HEAD failed with status ${response.status}`);
+
+                const remoteEtag = response.headers.get('ETag');
+                const remoteLastModified = response.headers.get('Last-Modified');
+                // Compression proxies may turn a strong ETag into a weak one: compare the opaque part
+                const opaque = (tag) => tag ? tag.replace(/^W\//, '') : tag;
+                if (etag && remoteEtag) return { name, url, stale: opaque(etag) !== opaque(remoteEtag) };
+                if (lastModified && remoteLastModified) {
+                    return { name, url, stale: new Date(remoteLastModified) > new Date(lastModified) };
+                }
+                return { name, url, stale: null };
+            } catch (e) {
+                return { name, url, stale: null, error: e.message };
+            }
+        }));
+    }
+
+    /**
+     * Downloads the new version of a stored map (and of its style when it came from a URL).
+     * The stored version stays usable until the new archive and style are committed together.
+     * @param {string} name - Name of the map
+     * @param {Function} [onProgress]
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Download even if the server reports no change
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<boolean>} True if the map was replaced
+     */
+    async updateMap(name, onProgress, options = {}) {
+        const record = await this.storage.getArchiveRecord(name);
+        if (!record) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} not found in storage`);
+        if (!record.url) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Map ${name} has no source URL to update from`);
+
+        if (!options.force) {
+            const [{ stale }] = await this.checkForUpdates(name);
+            if (stale === false) {
+                this._reporter(name, onProgress)(OFFLINE_STATUS.COMPLETE, `Map ${name} is up to date.`, undefined, { upToDate: true });
+                return false;
+            }
+        }
+
+        const { signal } = options;
+        if (record.extract) {
+            await this.downloadExtract(record.url, name, record.extract, onProgress, record.styleUrl, { signal });
+        } else {
+            await this.downloadMap(record.url, name, onProgress, record.styleUrl, { signal });
+        }
+        return true;
+    }
+
+    /**
+     * Starts a download and returns a handle to pause, resume or cancel it.
+     * Same arguments as downloadMap(); the signal of `options` is replaced by the handle's.
+     * @returns {DownloadHandle}
+     */
+    startDownload(url, name, onProgress, styleSource, options) {
+        return new DownloadHandle(this, url, name, onProgress, styleSource, options);
+    }
+
+    /**
+     * Adds a download to the queue. Queued downloads run `concurrency` at a time (see the constructor),
+     * in queue order, and are paused while the browser is offline.
+     * Same arguments as downloadMap(); the signal of `options` is replaced by the job's.
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Jobs with a higher priority are queued before those with a lower one
+     * @returns {DownloadJob}
+     */
+    enqueueDownload(url, name, onProgress, styleSource, options = {}) {
+        const { signal, ...rest } = options;
+        const job = new DownloadJob(this._queue, url, name, onProgress, styleSource, rest);
+        this._queue.add(job);
+        return job;
+    }
+
+    /**
+     * Downloads of the queue that are not finished, in queue order
+     * @returns {Array<{name: string, url: string, priority: number, state: string, progress: number|undefined}>}
+     */
+    getDownloadQueue() {
+        return this._queue.list();
+    }
+
+    /**
+     * Changes the priority of a queued download, moving it after the downloads of the same or a higher priority
+     * @param {string} name - Name of the map
+     * @param {number} priority
+     */
+    setDownloadPriority(name, priority) {
+        this._queue.setPriority(name, priority);
+    }
+
+    /**
+     * Moves a queued download to a position of the queue. Running downloads are not interrupted.
+     * @param {string} name - Name of the map
+     * @param {number} index - New position, 0 for the first
+     */
+    moveDownload(name, index) {
+        this._queue.move(name, index);
+    }
+
+    /**
+     * Cancels the downloads of the queue that are not running, and deletes their partial data
+     * @param {Object} [options]
+     * @param {boolean} [options.running=false] - Cancel the running downloads too
+     * @returns {Promise<Array<string>>} Names of the cancelled downloads
+     */
+    async clearDownloadQueue(options = {}) {
+        return await this._queue.clear(options.running);
+    }
+
+    /**
+     * @param {number} concurrency - Downloads of the queue running at the same time
+     */
+    setDownloadConcurrency(concurrency) {
+        this._queue.concurrency = concurrency;
+        this._queue._schedule();
+    }
+
+    /**
+     * Lists downloads that were interrupted and can be resumed
+     * @returns {Promise<Array<{name: string, url: string, offset: number, total: number|null, date: Date}>>}
+     */
+    async listPendingDownloads() {
+        const records = await listPendingDownloads();
+        return records.map(({ name, url, offset, total, date }) => ({ name, url, offset, total, date }));
+    }
+
+    /**
+     * Resumes an interrupted download from its last stored byte
+     * @param {string} name - Name of the map
+     * @param {Function} [onProgress]
+     */
+    async resumeDownload(name, onProgress) {
+        const pending = await getPendingDownload(name);
+        if (!pending) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `No pending download for ${name}`);
+        return this.downloadMap(pending.url, name, onProgress);
+    }
+
+    /**
+     * Discards an interrupted download and its stored chunks
+     * @param {string} name - Name of the map
+     * @throws {OfflineError} LOCKED while the download runs, in this tab or another one
+     */
+    async discardDownload(name) {
+        const release = await acquireMapLock(name);
+        try {
+            await deletePendingDownload(name);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Downloads a package: several archives, with their styles and assets, stored all together or not at all.
+     * Every file is checked against the size and SHA-256 checksum of the manifest before anything is committed;
+     * until then the stored version of the package stays untouched.
+     * @param {string|Object} manifest - URL of the JSON manifest, or the manifest itself:
+     * { name, archives: [{ name, url, size, sha256, integrity, style, assets: [{ key, url, size, sha256, integrity }], load }] }.
+     * URLs are relative to the manifest URL.
+     * @param {string} [name] - Name of the package, defaults to the manifest `name`
+     * @param {Function} [onProgress] - Progress over all the files of the package
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Object|false} [options.styleAssets] - For archives whose manifest lists no assets, see the constructor
+     * @returns {Promise<Array<string>>} Names of the stored maps
+     */
+    async downloadPackage(manifest, name, onProgress, options = {}) {
+        const { signal } = options;
+        let packageName = name || (typeof manifest === 'string' ? manifest : manifest && manifest.name);
+        const report = (...args) => this._reporter(packageName, onProgress)(...args);
+
+        const releases = [];
+        const staged = [];
+        try {
+            report(OFFLINE_STATUS.START, `Starting download of package ${packageName}...`);
+            if (!this.storage.saveArchives) {
+                throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'The storage backend does not support packages');
+            }
+            const { json, url } = await this._resolveManifest(manifest, signal);
+            packageName = name || json.name;
+            const archives = this._checkManifest(json, packageName, url);
+
+            // Nothing else writes the maps of the package, or of its previous version, until it is committed
+            const previous = await this.storage.getPackage(packageName);
+            const names = [...new Set([...archives.map(a => a.name), ...(previous ? previous.archives.map(a => a.name) : [])])];
+            for (const lock of [`package:${packageName}`, ...names]) releases.push(await acquireMapLock(lock));
+
+            const sizes = [];
+            for (const archive of archives) sizes.push(archive.size ?? await this._fetchSize(archive.url, signal));
+            const total = sizes.reduce((sum, size) => sum + (size || 0), 0);
+            await this._enforceBudget(packageName, total, names, false);
+            // Files stay staged until the package is committed
+            await this._checkQuota(total + this._commitBytes(total));
+
+            let done = 0;
+            // Style and asset messages keep the overall progress
+            const overall = (code, message) => report(code, message, this._percent(done, total));
+            const entries = [];
+            for (const [i, archive] of archives.entries()) {
+                overall(OFFLINE_STATUS.PROGRESS, `Downloading ${archive.name} (${i + 1}/${archives.length})...`);
+                const staging = `package:${packageName}:${archive.name}`;
+                staged.push(staging);
+                const blob = await this._stageFile(archive.url, staging, signal, (bytes) => {
+                    report(OFFLINE_STATUS.PROGRESS, `Downloading ${archive.name}...`, this._percent(done + bytes, total));
+                });
+                await verifyFile(blob, archive, `Archive ${archive.name}`);
+                await validateArchive(blob, `Archive ${archive.name}`);
+                done += blob.size;
+
+                const style = await this._resolveStyle(archive.name, archive.style, overall);
+                const assets = archive.assets
+                    ? await this._fetchManifestAssets(archive, signal)
+                    : await this._fetchStyleAssets(archive.name, style, overall, signal, options.styleAssets);
+                entries.push({
+                    name: archive.name,
+                    blob,
+                    source: { url: archive.url, styleUrl: style ? style.url : undefined, package: packageName },
+                    style: style ? style.json : undefined,
+                    assets
+                });
+            }
+            signal?.throwIfAborted();
+
+            await this._enforceBudget(packageName, done, names);
+            overall(OFFLINE_STATUS.PROGRESS, `Saving package ${packageName}...`);
+            const changes = await Promise.all(entries.map(e => this._changeType(e.name)));
+            const removed = await this.storage.saveArchives(entries, {
+                name: packageName,
+                url,
+                archives: archives.map(a => ({ name: a.name, load: a.load }))
+            });
+            entries.forEach((e, i) => {
+                invalidateArchive(e.name, this.storage);
+                this._notifyChange(e.name, changes[i]);
+            });
+            removed.forEach(n => this._forgetMap(n));
+
+            report(OFFLINE_STATUS.COMPLETE, `Saved package ${packageName}! Maps: ${entries.length}`, undefined, { maps: entries.map(e => e.name) });
+            return entries.map(e => e.name);
+        } catch (e) {
+            throw await this._downloadError(e, packageName, signal, report);
+        } finally {
+            await Promise.all(staged.map(staging => deletePendingDownload(staging)));
+            releases.forEach(release => release());
+        }
+    }
+
+    /**
+     * Loads all the maps of a package, in the manifest order with their manifest `load` options.
+     * When one of them fails, those already loaded are unloaded.
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the package
+     * @param {Function} [onProgress]
+     * @param {Object} [options]
+     * @param {Object} [options.load] - loadMap() options per map name, merged over the manifest ones
+     */
+    async loadPackage(map, name, onProgress, options = {}) {
+        const report = this._reporter(name, onProgress, LOAD_EVENTS);
+        const pkg = await this.storage.getPackage(name);
+        if (!pkg) {
+            const error = new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Package ${name} not found in storage`);
+            report(OFFLINE_STATUS.ERROR, error.message, undefined, { error });
+            throw error;
+        }
+
+        const loaded = [];
+        try {
+            for (const archive of pkg.archives) {
+                await this.loadMap(map, archive.name, undefined, { ...archive.load, ...(options.load && options.load[archive.name]) });
+                loaded.push(archive.name);
+            }
+        } catch (e) {
+            loaded.forEach(n => this.unloadMap(map, n));
+            report(OFFLINE_STATUS.ERROR, `Package ${name} could not be loaded: ${e.message}`, undefined, { error: e });
+            throw e;
+        }
+        report(OFFLINE_STATUS.COMPLETE, `Package ${name} loaded! Maps: ${loaded.length}`);
+    }
+
+    /**
+     * Unloads all the maps of a package from the map instance
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the package
+     */
+    async unloadPackage(map, name) {
+        const pkg = await this.storage.getPackage(name);
+        if (pkg) pkg.archives.forEach(archive => this.unloadMap(map, archive.name));
+    }
+
+    /**
+     * Deletes a package and all its maps from storage, in a single transaction
+     * @param {Object} map - MapLibre instance to remove the maps from
+     * @param {string} name - Name of the package
+     * @param {Function} [onProgress]
+     */
+    async removePackage(map, name, onProgress) {
+        const report = this._reporter(name, onProgress, REMOVE_EVENTS);
+        const pkg = await this.storage.getPackage(name);
+        if (!pkg) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Package ${name} not found in storage`);
+
+        const names = pkg.archives.map(a => a.name);
+        if (map) names.forEach(n => this._cleanup(map, n));
+
+        const releases = [];
+        let removed;
+        try {
+            for (const lock of [`package:${name}`, ...names]) releases.push(await acquireMapLock(lock, { wait: true }));
+            removed = await this.storage.deletePackage(name);
+        } finally {
+            releases.forEach(release => release());
+        }
+        removed.forEach(n => this._forgetMap(n));
+        report(OFFLINE_STATUS.COMPLETE, `Package ${name} removed (${removed.length} maps).`);
+    }
+
+    /**
+     * @returns {Promise<Array<{name: string, url: string|undefined, archives: Array<{name: string, load: Object}>, date: Date}>>}
+     */
+    async listPackages() {
+        return this.storage.listPackages ? await this.storage.listPackages() : [];
+    }
+
+    /**
+     * @param {string} name - Name of the package
+     * @returns {Promise<Object|null>} See listPackages()
+     */
+    async getPackage(name) {
+        return this.storage.getPackage ? await this.storage.getPackage(name) : null;
+    }
+
+    async _resolveManifest(manifest, signal) {
+        if (typeof manifest !== 'string') return { json: manifest || {}, url: undefined };
+        const response = await this._fetch(manifest, { signal, cache: 'no-store' });
+        if (!response.ok) {
+            throw new OfflineError(OFFLINE_ERROR.NETWORK, `Failed to fetch package manifest: ${response.status}`, { status: response.status });
+        }
+        return { json: await response.json(), url: new URL(manifest, location.href).href };
+    }
+
+    // Archives of a manifest, with absolute URLs
+    _checkManifest(json, packageName, url) {
+        const invalid = (message) => new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Invalid package manifest: ${message}`);
+        if (!packageName) throw invalid('no package name');
+        if (!Array.isArray(json.archives) || json.archives.length === 0) throw invalid('no archives');
+
+        const resolve = (u) => new URL(u, url || location.href).href;
+        const seen = new Set();
+        return json.archives.map(archive => {
+            if (!archive.name || !archive.url) throw invalid('each archive needs a name and a url');
+            if (seen.has(archive.name)) throw invalid(`archive ${archive.name} is listed twice`);
+            seen.add(archive.name);
+            (archive.assets || []).forEach(asset => {
+                if (!asset.key || !asset.url) throw invalid(`each asset of ${archive.name} needs a key and a url`);
+            });
+            const style = typeof archive.style === 'string' && !archive.style.trim().startsWith('{') ? resolve(archive.style) : archive.style;
+            return {
+                ...archive,
+                url: resolve(archive.url),
+                style,
+                assets: archive.assets && archive.assets.map(asset => ({ ...asset, url: resolve(asset.url) }))
+            };
+        });
+    }
+
+    // Downloads a file into the chunk store, so it is not held in memory until it is committed
+    async _stageFile(url, staging, signal, onStored) {
+        await clearDownloadChunks(staging);
+        const response = await this._fetch(url, markRequest({ signal, cache: 'no-store' }));
+        if (!response.ok) {
+            throw new OfflineError(OFFLINE_ERROR.NETWORK, `Download of ${url} failed with status ${response.status}`, { status: response.status });
+        }
+        await this._storeResponseChunks(response, staging, 0, null, () => { }, signal, onStored);
+        return await getDownloadBlob(staging);
+    }
+
+    async _fetchManifestAssets(archive, signal) {
+        const assets = [];
+        for (const asset of archive.assets) {
+            const response = await this._fetch(asset.url, { signal });
+            if (!response.ok) {
+                throw new OfflineError(OFFLINE_ERROR.NETWORK, `Failed to fetch ${asset.url}: ${response.status}`, { status: response.status });
+            }
+            const blob = await response.blob();
+            await verifyFile(blob, asset, `Asset ${asset.key} of ${archive.name}`);
+            assets.push({ key: asset.key, blob });
+        }
+        return assets;
+    }
+
+    // A map deleted with its package: opened archives are dropped, and the map unloaded everywhere
+    _forgetMap(name) {
+        invalidateArchive(name, this.storage);
+        const maps = this._loaded.get(name);
+        if (maps) [...maps].forEach(map => this.unloadMap(map, name));
+        this._notifyChange(name, 'remove');
+    }
+
+    /**
+     * Adds a source served from a stored map where it has tiles, and from a remote archive elsewhere.
+     * Tiles missing from the stored map are fetched remotely while online and, with `cache`,
+     * kept in IndexedDB for when the device is offline. The source reloads its tiles when
+     * the device goes online or offline, without reloading the map.
+     * @param {Object} map - MapLibre instance
+     * @param {string} id - Source id
+     * @param {Object} options
+     * @param {string} [options.name] - Stored map
+     * @param {string} [options.url] - Remote PMTiles archive, or XYZ tile URL template
+     * @param {'pmtiles'|'xyz'} [options.type] - Kind of remote URL, guessed from `{z}` in the URL when omitted
+     * @param {'vector'|'raster'} [options.sourceType='vector'] - MapLibre source type
+     * @param {boolean} [options.cache=false] - Cache remote tiles for offline use
+     * @param {number} [options.maxCachedTiles=5000]
+     * @param {number} [options.tileSize] - Defaults to 512 for vector and 256 for raster sources
+     * @param {string} [options.attribution]
+     * @param {number} [options.minzoom] - Override the zoom range and bounds read from the archives
+     * @param {number} [options.maxzoom]
+     * @param {Array<number>} [options.bounds]
+     */
+    addHybridSource(map, id, options) {
+        const { sourceType = 'vector', tileSize, attribution, ...config } = options;
+        registerHybridSource(id, {
+            ...config,
+            storage: this.storage,
+            onError: (e, message) => this._reportError(e, message, { source: id })
+        });
+
+        const url = `${HYBRID_PROTOCOL}://${id}`;
+        map.addSource(id, {
+            type: sourceType,
+            url,
+            tileSize: tileSize || (sourceType === 'vector' ? 512 : 256),
+            attribution
+        });
+
+        // Reloading the TileJSON also reloads the tiles, now served from the other side
+        const listener = () => {
+            const source = map.getSource(id);
+            if (source && source.setUrl) source.setUrl(url);
+        };
+        // A source added again (e.g. after map.removeSource) replaces its listener
+        this._removeHybridListener(map, id);
+        if (!this._hybrid.has(id)) this._hybrid.set(id, new Map());
+        this._hybrid.get(id).set(map, listener);
+        window.addEventListener('online', listener);
+        window.addEventListener('offline', listener);
+    }
+
+    _removeHybridListener(map, id) {
+        const listeners = this._hybrid.get(id);
+        const listener = listeners && listeners.get(map);
+        if (!listener) return;
+        window.removeEventListener('online', listener);
+        window.removeEventListener('offline', listener);
+        listeners.delete(map);
+        if (listeners.size === 0) this._hybrid.delete(id);
+    }
+
+    /**
+     * Removes a hybrid source added with addHybridSource(). Layers using it must be removed first.
+     * Its tile cache is kept, see clearHybridCache().
+     * @param {Object} map - MapLibre instance
+     * @param {string} id - Source id
+     */
+    removeHybridSource(map, id) {
+        this._removeHybridListener(map, id);
+        if (map.getSource(id)) map.removeSource(id);
+        // Other map instances may still show the source
+        if (!this._hybrid.has(id)) unregisterHybridSource(id);
+    }
+
+    /**
+     * Deletes the cached remote tiles of a hybrid source
+     * @param {string} id - Source id
+     */
+    async clearHybridCache(id) {
+        await clearTileCache(id);
+    }
+
+    /**
+     * Deletes a map (and its style) from storage and removes it from the map instance
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the map
+     * @param {Function} [onProgress]
+     */
+    async removeMap(map, name, onProgress) {
+        const report = this._reporter(name, onProgress, REMOVE_EVENTS);
+
+        // Remove from MapLibre
+        if (map) {
+            this._cleanup(map, name);
+        }
+
+        // Remove from Storage, once a download of the same name in another tab is done
+        const release = await acquireMapLock(name, { wait: true });
+        try {
+            await this.storage.deleteArchive(name);
+            await this.storage.deleteStyle(name); // Also delete the style
+            invalidateArchive(name, this.storage);
+        } finally {
+            release();
+        }
+        this._notifyChange(name, 'remove');
+        report(OFFLINE_STATUS.COMPLETE, `Storage (map + style) cleared for ${name}.`);
+    }
+
+    /**
+     * Unloads a map from the map instance (removes layers/source) but keeps it in storage
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the map
+     */
+    unloadMap(map, name) {
+        this._cleanup(map, name);
+        this.dispatchEvent(new CustomEvent('mapunload', { detail: { name } }));
+    }
+
+    /**
+     * Toggles the visibility of a map
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the map
+     * @param {boolean} visible - True to show, false to hide
+     */
+    toggleMap(map, name, visible) {
+        const style = map.getStyle();
+        if (style && style.layers) {
+            style.layers.forEach(l => {
+                if (l.id.startsWith(`${name}-`)) {
+                    map.setLayoutProperty(l.id, 'visibility', visible ? 'visible' : 'none');
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the map
+     * @returns {boolean} Whether loadMap() loaded the map into this instance (and it was not unloaded since)
+     */
+    isMapLoaded(map, name) {
+        const maps = this._loaded.get(name);
+        return !!maps && maps.has(map);
+    }
+
+    /**
+     * Loads the stored maps covering the view and unloads those leaving it, each time the map moves.
+     * Maps loaded with loadMap() are never unloaded by this mode. Calling it again updates the options.
+     * @param {Object} map - MapLibre instance
+     * @param {Object} [options]
+     * @param {number} [options.limit=3] - Maximum number of covering maps loaded at once, best ones first (see findMapsAt())
+     * @param {Object} [options.loadOptions] - Options passed to loadMap(), in 'merge' mode
+     * @returns {Function} Stops the mode, see stopAutoLoad()
+     */
+    autoLoad(map, options = {}) {
+        let state = this._autoLoad.get(map);
+        if (!state) {
+            state = { active: new Set(), running: false, pending: false };
+            state.listener = () => this._updateAutoLoad(map, state);
+            map.on('moveend', state.listener);
+            CATALOG_EVENTS.forEach(type => this.addEventListener(type, state.listener));
+            this._autoLoad.set(map, state);
+        }
+        state.limit = options.limit ?? 3;
+        state.loadOptions = { ...options.loadOptions, mode: 'merge' };
+        state.listener();
+        return (unload) => this.stopAutoLoad(map, unload);
+    }
+
+    /**
+     * Stops autoLoad() on a map instance
+     * @param {Object} map - MapLibre instance
+     * @param {boolean} [unload=false] - Also unload the maps it loaded
+     */
+    stopAutoLoad(map, unload = false) {
+        const state = this._autoLoad.get(map);
+        if (!state) return;
+        state.stopped = true;
+        map.off('moveend', state.listener);
+        CATALOG_EVENTS.forEach(type => this.removeEventListener(type, state.listener));
+        this._autoLoad.delete(map);
+        if (unload) {
+            state.active.forEach(name => {
+                if (this.isMapLoaded(map, name)) this.unloadMap(map, name);
+            });
+        }
+    }
+
+    // Runs one update at a time; moves during an update trigger a single new one
+    async _updateAutoLoad(map, state) {
+        if (state.running) {
+            state.pending = true;
+            return;
+        }
+        state.running = true;
+        try {
+            do {
+                state.pending = false;
+                const found = await this.findMapsAt(viewBbox(map), { zoom: Math.floor(map.getZoom()) });
+                if (state.stopped) return;
+                const wanted = found.slice(0, state.limit).map(info => info.name);
+
+                for (const name of [...state.active]) {
+                    if (wanted.includes(name)) continue;
+                    state.active.delete(name);
+                    if (this.isMapLoaded(map, name)) this.unloadMap(map, name);
+                }
+                for (const name of wanted) {
+                    if (state.stopped) return;
+                    // Already loaded by autoLoad, or by hand
+                    if (this.isMapLoaded(map, name)) continue;
+                    state.active.add(name);
+                    try {
+                        await this.loadMap(map, name, undefined, state.loadOptions);
+                    } catch (e) {
+                        // Reported by loadMap's maperror event
+                        state.active.delete(name);
+                    }
+                }
+            } while (state.pending && !state.stopped);
+        } catch (e) {
+            this._reportError(e, 'Failed to update automatically loaded maps');
+        } finally {
+            state.running = false;
+        }
+    }
+
+    /**
+     * Shows the areas covered by the stored maps: a GeoJSON source `id` with one feature per map
+     * (properties name, color, minZoom, maxZoom, size, tileType, date) drawn by the layers `${id}-fill`
+     * and `${id}-line`. The data follows downloads, imports and removals.
+     * @param {Object} map - MapLibre instance
+     * @param {Object} [options]
+     * @param {string} [options.id='offline-coverage'] - Id of the source, and prefix of the layer ids
+     * @param {Array<string>} [options.colors] - Palette; each map gets one of them from its name
+     * @param {number} [options.fillOpacity=0.15]
+     * @param {string} [options.beforeId] - Id of an existing layer to insert the layers under
+     * @returns {Promise<void>} Resolves when the data is set
+     */
+    async addCoverageLayer(map, options = {}) {
+        const id = options.id || 'offline-coverage';
+        const colors = options.colors || COVERAGE_COLORS;
+        this.removeCoverageLayer(map, id);
+
+        map.addSource(id, { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+        map.addLayer({
+            id: `${id}-fill`,
+            type: 'fill',
+            source: id,
+            paint: { 'fill-color': ['get', 'color'], 'fill-opacity': options.fillOpacity ?? 0.15 }
+        }, options.beforeId);
+        map.addLayer({
+            id: `${id}-line`,
+            type: 'line',
+            source: id,
+            paint: { 'line-color': ['get', 'color'], 'line-width': 2 }
+        }, options.beforeId);
+
+        const refresh = async () => {
+            try {
+                const data = coverageGeoJSON(await this._listCoverage(), colors);
+                // The layer may have been removed meanwhile, or the style replaced
+                const source = map.getSource(id);
+                if (source && this._coverageLayers.get(map)?.get(id) === refresh) source.setData(data);
+            } catch (e) {
+                this._reportError(e, `Failed to update the coverage layer ${id}`);
+            }
+        };
+        if (!this._coverageLayers.has(map)) this._coverageLayers.set(map, new Map());
+        this._coverageLayers.get(map).set(id, refresh);
+        CATALOG_EVENTS.forEach(type => this.addEventListener(type, refresh));
+        await refresh();
+    }
+
+    /**
+     * Removes a layer added by addCoverageLayer() and stops updating it
+     * @param {Object} map - MapLibre instance
+     * @param {string} [id='offline-coverage']
+     */
+    removeCoverageLayer(map, id = 'offline-coverage') {
+        const layers = this._coverageLayers.get(map);
+        const refresh = layers && layers.get(id);
+        if (refresh) {
+            CATALOG_EVENTS.forEach(type => this.removeEventListener(type, refresh));
+            layers.delete(id);
+            if (layers.size === 0) this._coverageLayers.delete(map);
+        }
+        [`${id}-line`, `${id}-fill`].forEach(layerId => {
+            if (map.getLayer(layerId)) map.removeLayer(layerId);
+        });
+        if (map.getSource(id)) map.removeSource(id);
+    }
+
+    /**
+     * Loads a map from storage into the map instance.
+     * Layer and source ids of the stored style are prefixed with `${name}-`.
+     * @param {Object} map - MapLibre instance
+     * @param {string} name - Name of the map in storage
+     * @param {Function} [onProgress]
+     * @param {Object} [options]
+     * @param {'merge'|'style'} [options.mode='merge'] - 'merge' adds the stored style's layers to the current style,
+     * 'style' replaces the whole map style with the stored one (map.setStyle)
+     * @param {Object} [options.sources] - Stored map name per source id of the stored style, or null to keep a source online.
+     * Unlisted sources use the stored map downloaded from their URL, the first one of the archive's type uses `name`,
+     * the others stay online.
+     * @param {string} [options.beforeId] - In 'merge' mode, id of an existing layer to insert the layers under
+     * @param {boolean|'terrarium'|'mapbox'} [options.dem] - Loads a raster archive as elevation (raster-dem source):
+     * true uses the metadata `encoding` (defaults to 'mapbox'), false always loads it as imagery.
+     * By default archives whose metadata has a terrarium or mapbox `encoding` are elevation.
+     * @param {boolean|Object} [options.hillshade=true] - For elevation, adds a hillshade layer (an object sets its paint properties)
+     * @param {boolean|{exaggeration: number}} [options.terrain=false] - For elevation, enables 3D terrain (map.setTerrain)
+     * @param {number} [options.tileSize] - Overrides the tile size of the metadata (`tileSize` or `tile_size`),
+     * which defaults to 512 for vector and 256 for raster archives
+     * @param {'light'|'dark'} [options.theme='light'] - Theme of the default style of vector maps stored without a style
+     * @param {boolean} [options.labels] - Labels in the default style, by default when the map style has glyphs
+     * @param {Array<string>} [options.font] - Fontstack of the default style labels, defaults to ['Noto Sans Regular']
+     */
+    async loadMap(map, name, onProgress, options = {}) {
+        const report = this._reporter(name, onProgress, LOAD_EVENTS);
+        const fail = (e, message) => {
+            const error = e instanceof OfflineError ? e : new OfflineError(OFFLINE_ERROR.FAILED, e.message, { cause: e });
+            report(OFFLINE_STATUS.ERROR, message || error.message, undefined, { error });
+            return error;
+        };
+
+        let message;
+        let cleanup = false;
+        try {
+            let p;
+            try {
+                p = await openArchive(name, this.storage);
+            } catch (e) {
+                message = `Map ${name} not found!`;
+                throw e;
+            }
+
+            // Cleanup existing layers for THIS map name to avoid duplicates/collisions if reloaded
+            this._cleanup(map, name);
+            cleanup = options.mode !== 'style';
+            if (this.storage.touch) await this.storage.touch(name);
+
+            // Analyze file
+            const header = await p.getHeader();
+            const metadata = await p.getMetadata();
+
+
+            const isVector = header.tileType === 1;
+            const encoding = isVector ? null : this._demEncoding(metadata, options.dem);
+            const sourceType = isVector ? 'vector' : encoding ? 'raster-dem' : 'raster';
+
+            if (options.mode === 'style') {
+                const storedStyle = await this.storage.getStyle(name);
+                if (!storedStyle) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} has no stored style`);
+                await this._setStoredStyle(map, name, storedStyle, sourceType, options);
+                if (!this._loaded.has(name)) this._loaded.set(name, new Set());
+                this._loaded.get(name).add(map);
+                report(OFFLINE_STATUS.COMPLETE, `Map ${name} loaded (Style)! Layers: ${(storedStyle.layers || []).length}`);
+                return;
+            }
+
+            let attribution = undefined;
+            if (metadata && metadata.attribution) {
+                attribution = metadata.attribution;
+            }
+
+
+            const sourceId = `${name}-source`;
+            const source = {
+                type: sourceType,
+                url: this._archiveUrl(name),
+                tileSize: options.tileSize || this._tileSize(metadata, isVector ? 512 : 256),
+                attribution: attribution
+            };
+            if (encoding) source.encoding = encoding;
+            map.addSource(sourceId, source);
+            if (!this._loaded.has(name)) this._loaded.set(name, new Set());
+            this._loaded.get(name).add(map);
+
+
+            if (isVector) {
+                // Check for custom style first
+                const storedStyle = await this.storage.getStyle(name);
+                if (storedStyle && storedStyle.layers) {
+                    await this._addCustomStyleLayers(map, storedStyle, name, 'vector', options);
+                } else {
+                    this._addVectorLayers(map, metadata, sourceId, name, options);
+                }
+            } else if (encoding) {
+                this._addDemLayers(map, source, sourceId, name, options);
+            } else {
+                this._addRasterLayer(map, sourceId, name);
+            }
+
+            const typeStr = isVector ? "Vector" : encoding ? "Elevation" : "Raster";
+            const layerCount = encoding ? (options.hillshade === false ? 0 : 1)
+                : (metadata?.vector_layers || []).length || (isVector ? 0 : 1);
+            report(OFFLINE_STATUS.COMPLETE, `Map ${name} loaded (${typeStr})! Layers: ${layerCount}`);
+        } catch (e) {
+            // No half-loaded map is left on the instance ('style' mode replaced the whole style already)
+            if (cleanup) this._cleanup(map, name);
+            throw fail(e, message);
+        }
     }
 
     _cleanup(map, name) {
+        const loaded = this._loaded.get(name);
+        if (loaded) loaded.delete(map);
+
         // Remove layers starting with name-
         const style = map.getStyle();
         if (style && style.layers) {
@@ -343,9 +2249,88 @@ export class OfflinePlugin {
             });
         }
 
-        const sourceId = `${name}-source`;
-        if (map.getSource(sourceId)) {
-            map.removeSource(sourceId);
+        // Terrain and sky of a merged style go back to those of the map, unless something else replaced them since
+        const settings = this._replacedSettings.get(map);
+        const replaced = settings && settings.get(name);
+        if (replaced) {
+            settings.delete(name);
+            const { applied } = replaced;
+            const unchanged = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+            if (applied.terrain && unchanged(map.getTerrain(), applied.terrain)) {
+                const { terrain } = replaced;
+                map.setTerrain(terrain && !terrain.source.startsWith(`${name}-`) && map.getSource(terrain.source) ? terrain : null);
+            }
+            if (applied.sky && unchanged(map.getSky(), applied.sky)) map.setSky(replaced.sky);
+        }
+
+        // Terrain would keep a removed source in use
+        const terrain = map.getTerrain ? map.getTerrain() : null;
+        if (terrain && terrain.source.startsWith(`${name}-`)) {
+            map.setTerrain(null);
+        }
+
+        if (style && style.sources) {
+            Object.keys(style.sources).forEach(id => {
+                if (id.startsWith(`${name}-`)) {
+                    map.removeSource(id);
+                }
+            });
+        }
+
+        // Sprites added by a merged style
+        if (style && Array.isArray(style.sprite)) {
+            style.sprite.forEach(({ id }) => {
+                if (id.startsWith(`${name}-`)) map.removeSprite(id);
+            });
+        }
+    }
+
+    /**
+     * Adds the sprites of a stored style next to those of the map, under ids prefixed with the map name.
+     * A style has a single glyphs URL: the stored one is only set when the map has none.
+     * @returns {Promise<boolean>} Whether sprites were added, and the layers must name their images
+     */
+    async _applyStyleAssets(map, name, style) {
+        const keys = this.storage.listAssets ? await this.storage.listAssets(name) : [];
+        const offline = offlineStyle(name, style, keys, this._storageKey);
+        if (offline.glyphs && !map.getStyle().glyphs) map.setGlyphs(offline.glyphs);
+
+        const sprites = mergedSprites(name, style, keys, this._storageKey);
+        sprites.forEach(({ id, url }) => map.addSprite(id, url));
+        return sprites.length > 0;
+    }
+
+    /**
+     * Encoding of an elevation archive, or null when it is imagery (see the `dem` option of loadMap())
+     */
+    _demEncoding(metadata, dem) {
+        if (dem === false) return null;
+        if (dem === 'terrarium' || dem === 'mapbox') return dem;
+        const encoding = metadata && metadata.encoding;
+        if (encoding === 'terrarium' || encoding === 'mapbox') return encoding;
+        return dem ? 'mapbox' : null;
+    }
+
+    _tileSize(metadata, fallback) {
+        const size = parseInt(metadata && (metadata.tileSize ?? metadata.tile_size), 10);
+        return size > 0 ? size : fallback;
+    }
+
+    _addDemLayers(map, source, sourceId, name, options) {
+        const { hillshade = true, terrain = false } = options;
+        if (hillshade) {
+            map.addLayer({
+                id: `${name}-hillshade`,
+                type: 'hillshade',
+                source: sourceId,
+                paint: hillshade === true ? {} : hillshade
+            }, options.beforeId);
+        }
+        if (terrain) {
+            // MapLibre renders hillshade and terrain at a better resolution from separate sources
+            const terrainId = `${name}-terrain`;
+            map.addSource(terrainId, { ...source });
+            map.setTerrain({ source: terrainId, exaggeration: terrain.exaggeration ?? 1 });
         }
     }
 
@@ -359,90 +2344,162 @@ export class OfflinePlugin {
             }
         });
     }
-    _addCustomStyleLayers(map, style, sourceId, name) {
-        style.layers.forEach(layer => {
-            const newLayer = { ...layer };
+    /**
+     * Maps the sources of a stored style to stored archives or leaves them online
+     * @param {string} name - Name of the map the style belongs to
+     * @param {Object} style - Stored style JSON
+     * @param {string} sourceType - Source type of the map's archive ('vector', 'raster' or 'raster-dem')
+     * @param {Object} [mapping] - Stored map name (or null for online) per source id, see loadMap()
+     * @returns {Promise<{sources: Object, ids: Object}>} Rewritten sources by new id, and new id per original id
+     */
+    async _rewriteSources(name, style, sourceType, mapping = {}) {
+        const records = await this.storage.listArchives();
+        const stored = new Set(records.map(r => r.name));
+        const byUrl = new Map(records.filter(r => r.url).map(r => [r.url, r.name]));
+
+        const archives = {};
+        Object.entries(style.sources || {}).forEach(([id, source]) => {
+            if (mapping[id] !== undefined) {
+                if (mapping[id] !== null && !stored.has(mapping[id])) {
+                    throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${mapping[id]} for source ${id} not found in storage`);
+                }
+                archives[id] = mapping[id];
+            } else if (source.url && source.url.startsWith('offline-pmtiles://')) {
+                archives[id] = parseProtocolUrl(source.url, 'offline-pmtiles').path;
+            } else {
+                archives[id] = byUrl.get((source.url || '').replace(/^pmtiles:\/\//, '')) || null;
+            }
+        });
+        if (!Object.values(archives).includes(name)) {
+            const primary = Object.keys(archives).find(id => mapping[id] === undefined && archives[id] === null && style.sources[id].type === sourceType);
+            if (primary) archives[primary] = name;
+        }
 
-            if (newLayer.type === 'background') {
-                newLayer.id = `${name}-${newLayer.id}`;
-            } else if (newLayer.source) {
-                newLayer.source = sourceId;
-                newLayer.id = `${name}-${newLayer.id}`;
+        const sources = {};
+        const ids = {};
+        Object.entries(style.sources || {}).forEach(([id, source]) => {
+            const archive = archives[id];
+            const newId = archive === name ? `${name}-source` : `${name}-${id}`;
+            ids[id] = newId;
+            if (archive) {
+                const { tiles, ...rest } = source;
+                sources[newId] = { ...rest, url: this._archiveUrl(archive) };
+            } else {
+                sources[newId] = source;
             }
+        });
+        return { sources, ids };
+    }
+
+    // offline-pmtiles URL of a map of this plugin's backend
+    _archiveUrl(name) {
+        return withStorage(`offline-pmtiles://${name}`, this._storageKey);
+    }
+
+    /**
+     * Prefixes a stored style layer id and points it at its rewritten source.
+     * Layers of styles without `sources` use the map's own source.
+     */
+    _rewriteLayer(layer, name, ids) {
+        const newLayer = { ...layer, id: `${name}-${layer.id}` };
+        if (layer.source) newLayer.source = ids[layer.source] || `${name}-source`;
+        return newLayer;
+    }
+
+    /**
+     * Replaces the map style with a stored style, its sources rewritten to stored archives
+     */
+    async _setStoredStyle(map, name, style, sourceType, options) {
+        const { sources, ids } = await this._rewriteSources(name, style, sourceType, options.sources);
+        const keys = this.storage.listAssets ? await this.storage.listAssets(name) : [];
+        const offline = offlineStyle(name, style, keys, this._storageKey);
+
+        const newStyle = {
+            ...offline,
+            sources,
+            layers: (style.layers || []).map(layer => this._rewriteLayer(layer, name, ids))
+        };
+        if (style.terrain) newStyle.terrain = { ...style.terrain, source: ids[style.terrain.source] };
+
+        // Maps loaded into the replaced style are gone
+        this._loaded.forEach(maps => maps.delete(map));
+        await new Promise((resolve, reject) => {
+            let timer;
+            const done = (error) => {
+                clearTimeout(timer);
+                map.off('style.load', onLoad);
+                map.off('error', onError);
+                if (error) reject(error);
+                else resolve();
+            };
+            const onLoad = () => done();
+            // Errors of sources and tiles carry a sourceId, those of the style (validation) do not
+            const onError = (e) => {
+                if (!e.sourceId) done(new OfflineError(OFFLINE_ERROR.FAILED, `Failed to apply the style of ${name}: ${e.error ? e.error.message : 'unknown error'}`, { cause: e.error }));
+            };
+            timer = setTimeout(() => done(new OfflineError(OFFLINE_ERROR.FAILED, `The style of ${name} did not load within ${STYLE_LOAD_TIMEOUT / 1000} s`)), STYLE_LOAD_TIMEOUT);
+            map.on('style.load', onLoad);
+            map.on('error', onError);
+            map.setStyle(newStyle, { diff: false });
+        });
+    }
+
+    async _addCustomStyleLayers(map, style, name, sourceType, options = {}) {
+        const { sources, ids } = await this._rewriteSources(name, style, sourceType, options.sources);
+        Object.entries(sources).forEach(([id, source]) => {
+            if (!map.getSource(id)) map.addSource(id, source);
+        });
+        const sprites = await this._applyStyleAssets(map, name, style);
+
+        style.layers.forEach(layer => {
+            let newLayer = this._rewriteLayer(layer, name, ids);
+            if (sprites) newLayer = mergedLayer(name, style, newLayer);
 
             if (!map.getLayer(newLayer.id)) {
                 try {
-                    map.addLayer(newLayer);
+                    map.addLayer(newLayer, options.beforeId);
                 } catch (e) {
-                    console.error(`Failed to add custom layer ${newLayer.id}:`, e);
+                    throw new OfflineError(OFFLINE_ERROR.FAILED, `Failed to add layer ${layer.id} of the style of ${name}: ${e.message}`, { cause: e });
                 }
             }
         });
+
+        // The map's own terrain and sky are given back by _cleanup()
+        const replaced = { applied: {} };
+        if (style.terrain && map.setTerrain) {
+            replaced.terrain = map.getTerrain();
+            replaced.applied.terrain = { ...style.terrain, source: ids[style.terrain.source] };
+            map.setTerrain(replaced.applied.terrain);
+        }
+        if (style.sky && map.setSky) {
+            replaced.sky = map.getSky();
+            replaced.applied.sky = style.sky;
+            map.setSky(style.sky);
+        }
+        if (Object.keys(replaced.applied).length > 0) {
+            if (!this._replacedSettings.has(map)) this._replacedSettings.set(map, new Map());
+            this._replacedSettings.get(map).set(name, replaced);
+        }
     }
 
-    _addVectorLayers(map, metadata, sourceId, name) {
+    _addVectorLayers(map, metadata, sourceId, name, options = {}) {
+        const current = map.getStyle();
+        const { background, layers } = defaultStyle(metadata, {
+            theme: options.theme,
+            // Labels need glyphs, which maps stored without a style do not bring
+            labels: options.labels ?? !!(current && current.glyphs),
+            font: options.font
+        });
 
         if (!map.getLayer('background')) {
             map.addLayer({
                 id: 'background',
                 type: 'background',
-                paint: { 'background-color': '#e0e0e0' }
-            }, map.getStyle().layers[0]?.id); // Insert at bottom
-        }
-
-        let vectorLayers = (metadata && metadata.vector_layers) ? metadata.vector_layers : [];
-
-        if (vectorLayers.length > 0) {
-            const polyLayer = vectorLayers.find(l => ['earth', 'landuse', 'water', 'buildings', 'land'].includes(l.id));
-            if (polyLayer) {
-                map.addLayer({
-                    id: `${name}-fill`,
-                    type: 'fill',
-                    source: sourceId,
-                    'source-layer': polyLayer.id,
-                    paint: {
-                        'fill-color': polyLayer.id === 'water' ? '#88ccff' : '#88aa88',
-                        'fill-opacity': 0.6,
-                        'fill-outline-color': '#ffffff'
-                    }
-                });
-            }
-
-            const lineLayer = vectorLayers.find(l => ['roads', 'transit', 'boundaries', 'transportation'].includes(l.id));
-            if (lineLayer) {
-                map.addLayer({
-                    id: `${name}-line`,
-                    type: 'line',
-                    source: sourceId,
-                    'source-layer': lineLayer.id,
-                    paint: { 'line-color': '#555555' }
-                });
-            }
-
-            vectorLayers.forEach((l, i) => {
-                if (map.getLayer(`${name}-debug-${l.id}`)) return;
-                if (l.id === polyLayer?.id || l.id === lineLayer?.id) return;
-
-                map.addLayer({
-                    id: `${name}-debug-${l.id}`,
-                    type: 'line',
-                    source: sourceId,
-                    'source-layer': l.id,
-                    paint: {
-                        'line-color': `hsl(${i * 60}, 100%, 30%)`,
-                        'line-width': 1
-                    }
-                });
-            });
-        } else {
-            map.addLayer({
-                id: `${name}-fallback-fill`,
-                type: 'fill',
-                source: sourceId,
-                'source-layer': 'earth',
-                paint: { 'fill-color': 'pink', 'fill-opacity': 0.5 }
-            });
+                paint: { 'background-color': background }
+            }, current.layers[0]?.id); // Insert at bottom
         }
+
+        layers.forEach(layer => map.addLayer({ ...layer, id: `${name}-${layer.id}`, source: sourceId }, options.beforeId));
     }
 
 
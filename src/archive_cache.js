@@ -0,0 +1,90 @@
+import { PMTiles } from 'pmtiles';
+import { getStorage, storageKey } from './storage';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+// Maximum number of archives kept open, least recently used are closed first
+const MAX_OPEN_ARCHIVES = 16;
+
+// storage key + name -> { name, promise: Promise<PMTiles> }. Each PMTiles keeps its own header/directory cache.
+const archives = new Map();
+
+const cacheKey = (storage, name) => `${storageKey(storage)}/${name}`;
+
+const stats = { hits: 0, misses: 0 };
+
+// Access times are written at most once per interval per map, not on every tile
+const TOUCH_INTERVAL = 60 * 1000;
+const lastTouched = new Map();
+
+function touch(storage, key, name) {
+    const now = Date.now();
+    if (now - (lastTouched.get(key) || 0) < TOUCH_INTERVAL) return;
+    lastTouched.set(key, now);
+    if (storage.touch) storage.touch(name).catch(() => { });
+}
+
+/**
+ * Returns an opened PMTiles archive for a stored map, reusing it across calls
+ * @param {string} name - Name of the map in storage
+ * @param {Object} [storage] - Backend storing the map, defaults to getStorage()
+ * @returns {Promise<PMTiles>}
+ */
+export function openArchive(name, storage = getStorage()) {
+    const key = cacheKey(storage, name);
+    touch(storage, key, name);
+    let entry = archives.get(key);
+    if (entry) {
+        stats.hits++;
+        // Move to the end of the Map to keep it in LRU order
+        archives.delete(key);
+        archives.set(key, entry);
+        return entry.promise;
+    }
+
+    stats.misses++;
+    const archive = storage.openSource(name).then(source => {
+        if (!source) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Map ${name} not found in storage`);
+        return new PMTiles(source);
+    });
+    entry = { name, promise: archive };
+    archives.set(key, entry);
+    // Do not cache failures (e.g. a map that is not downloaded yet)
+    archive.catch(() => {
+        if (archives.get(key) === entry) archives.delete(key);
+    });
+
+    if (archives.size > MAX_OPEN_ARCHIVES) {
+        archives.delete(archives.keys().next().value);
+    }
+    return archive;
+}
+
+/**
+ * Drops the opened archive of a map, to be called whenever the stored map is replaced or deleted
+ * @param {string} [name] - All archives are dropped when omitted
+ * @param {Object} [storage] - Backend of the map; without it, the map is dropped for every backend
+ * (e.g. for a change made by another tab, whose backend is unknown)
+ */
+export function invalidateArchive(name, storage) {
+    if (name === undefined) {
+        archives.clear();
+    } else if (storage) {
+        archives.delete(cacheKey(storage, name));
+    } else {
+        [...archives].forEach(([key, entry]) => {
+            if (entry.name === name) archives.delete(key);
+        });
+    }
+}
+
+/**
+ * @returns {{hits: number, misses: number, open: number}}
+ */
+export function getArchiveCacheStats() {
+    return { ...stats, open: archives.size };
+}
+
+export function resetArchiveCacheStats() {
+    stats.hits = 0;
+    stats.misses = 0;
+}
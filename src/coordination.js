@@ -0,0 +1,64 @@
+// Coordination between the tabs (and workers) of an origin sharing the stored maps:
+// one writer per map name, and notifications of the changes to the other tabs
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+const LOCK_PREFIX = 'maplibre-offline-pmtiles:';
+export const CHANNEL_NAME = 'maplibre-offline-pmtiles';
+
+// Locks of this context when the Web Locks API is not available: name -> promise resolved on release
+const held = new Map();
+
+const lockedError = (name) => new OfflineError(OFFLINE_ERROR.LOCKED, `Map ${name} is being written by another tab`);
+
+async function acquireLocal(name, wait) {
+    while (held.has(name)) {
+        if (!wait) throw lockedError(name);
+        await held.get(name);
+    }
+    let release;
+    held.set(name, new Promise(resolve => { release = resolve; }));
+    return () => {
+        held.delete(name);
+        release();
+    };
+}
+
+/**
+ * Takes the write lock of a map name, shared by all tabs of the origin (Web Locks API).
+ * Without Web Locks, only writers of the same tab are coordinated.
+ * @param {string} name - Name of the map
+ * @param {Object} [options]
+ * @param {boolean} [options.wait=false] - Wait for the lock instead of failing when it is held
+ * @returns {Promise<Function>} Releases the lock
+ * @throws {OfflineError} LOCKED when the lock is held and `wait` is false
+ */
+export function acquireMapLock(name, { wait = false } = {}) {
+    if (typeof navigator === 'undefined' || !navigator.locks) return acquireLocal(name, wait);
+    return new Promise((resolve, reject) => {
+        navigator.locks.request(LOCK_PREFIX + name, { ifAvailable: !wait }, (lock) => {
+            if (!lock) {
+                reject(lockedError(name));
+                return;
+            }
+            // The lock is held until the returned promise settles
+            return new Promise(release => resolve(release));
+        }).catch(reject);
+    });
+}
+
+/**
+ * Opens the channel notifying the other tabs of stored map changes
+ * @param {Function} onMessage - Called with the messages of the other tabs ({ name, change })
+ * @returns {{post: Function, close: Function}|null} null when BroadcastChannel is not supported
+ */
+export function openMapChannel(onMessage) {
+    if (typeof BroadcastChannel === 'undefined') return null;
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+        if (event.data && event.data.name && event.data.change) onMessage(event.data);
+    };
+    return {
+        post: (name, change) => channel.postMessage({ name, change }),
+        close: () => channel.close()
+    };
+}
@@ -0,0 +1,91 @@
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+/**
+ * Normalizes a location to a [w, s, e, n] bbox
+ * @param {Array<number>|Object} location - [lng, lat], { lng, lat }, [w, s, e, n], [[w, s], [e, n]] or LngLatBounds
+ * @returns {Array<number>}
+ */
+export function toBbox(location) {
+    if (location && typeof location.toArray === 'function') location = location.toArray();
+    if (Array.isArray(location)) {
+        if (location.length === 2 && Array.isArray(location[0])) return [location[0][0], location[0][1], location[1][0], location[1][1]];
+        if (location.length === 2) return [location[0], location[1], location[0], location[1]];
+        if (location.length === 4) return location.slice();
+    } else if (location && location.lng !== undefined) {
+        const lng = location.lng, lat = location.lat;
+        return [lng, lat, lng, lat];
+    }
+    throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'Expected a [lng, lat] point or a [w, s, e, n] bbox');
+}
+
+// Longitude ranges of a bbox, split in two when it crosses the antimeridian
+const lonRanges = ([w, , e]) => w <= e ? [[w, e]] : [[w, 180], [-180, e]];
+
+/**
+ * @param {Array<number>} a - [w, s, e, n]
+ * @param {Array<number>} b - [w, s, e, n]
+ * @returns {boolean} Whether the bboxes share at least a point
+ */
+export function bboxIntersects(a, b) {
+    if (a[1] > b[3] || b[1] > a[3]) return false;
+    return lonRanges(a).some(([aw, ae]) => lonRanges(b).some(([bw, be]) => aw <= be && bw <= ae));
+}
+
+/**
+ * @param {Array<number>} bbox - [w, s, e, n]
+ * @returns {number} Area in square degrees
+ */
+export function bboxArea(bbox) {
+    const width = lonRanges(bbox).reduce((sum, [w, e]) => sum + e - w, 0);
+    return width * (bbox[3] - bbox[1]);
+}
+
+/**
+ * Visible bbox of a MapLibre map, limited to one world copy
+ * @param {Object} map - MapLibre instance
+ * @returns {Array<number>}
+ */
+export function viewBbox(map) {
+    const bounds = map.getBounds();
+    return [Math.max(-180, bounds.getWest()), bounds.getSouth(), Math.min(180, bounds.getEast()), bounds.getNorth()];
+}
+
+// Stable color per map name
+function pickColor(name, colors) {
+    let hash = 0;
+    for (let i = 0; i < name.length; i++) hash = (hash * 31 + name.charCodeAt(i)) | 0;
+    return colors[Math.abs(hash) % colors.length];
+}
+
+const ring = ([w, s, e, n]) => [[[w, s], [e, s], [e, n], [w, n], [w, s]]];
+
+/**
+ * GeoJSON of the areas covered by stored maps: one (Multi)Polygon per map with known bounds
+ * @param {Array<Object>} infos - Catalog entries (see OfflinePlugin.listMaps())
+ * @param {Array<string>} colors - Palette; each map gets one of them from its name
+ * @returns {Object} FeatureCollection with name, color, minZoom, maxZoom, size, tileType and date properties
+ */
+export function coverageGeoJSON(infos, colors) {
+    const features = infos
+        .filter(info => info.bounds && info.bounds[1] < info.bounds[3] && info.bounds[0] !== info.bounds[2])
+        .map(info => {
+            const [w, s, e, n] = info.bounds;
+            const geometry = w < e
+                ? { type: 'Polygon', coordinates: ring(info.bounds) }
+                : { type: 'MultiPolygon', coordinates: [ring([w, s, 180, n]), ring([-180, s, e, n])] };
+            return {
+                type: 'Feature',
+                geometry,
+                properties: {
+                    name: info.name,
+                    color: pickColor(info.name, colors),
+                    minZoom: info.minZoom,
+                    maxZoom: info.maxZoom,
+                    size: info.size,
+                    tileType: info.tileType,
+                    date: info.date ? new Date(info.date).toISOString() : null
+                }
+            };
+        });
+    return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,17 @@
+// Storage backend from the `storage` option, shared by OfflinePlugin and the service worker handler.
+// Kept apart from storage.js, which opfs_storage.js imports.
+import { IndexedDBStorage } from './storage';
+import { OPFSStorage } from './opfs_storage';
+
+/**
+ * @param {'indexeddb'|'opfs'|Object} [storage='indexeddb'] - Backend name, or a backend instance returned as is
+ * @returns {Object} The backend. 'opfs' falls back to IndexedDB when OPFS is not supported.
+ */
+export function createStorage(storage) {
+    if (storage && typeof storage === 'object') return storage;
+    if (storage === 'opfs') {
+        if (OPFSStorage.isSupported()) return new OPFSStorage();
+        // OfflinePlugin.storageType tells the backend in use
+    }
+    return new IndexedDBStorage();
+}
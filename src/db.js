@@ -1,5 +1,6 @@
 
 import Dexie from 'dexie';
+import { readArchiveInfo } from './pmtiles_adapter';
 
 export const db = new Dexie('OfflineMapDB');
 
@@ -9,25 +10,226 @@ db.version(1).stores({
     styles: 'name, date'
 });
 
+// Version 2: resumable downloads. 'downloads' keeps one record per unfinished
+// download (url, offset, total, validators), 'chunks' keeps the bytes received so far.
+db.version(2).stores({
+    files: 'name, date',
+    styles: 'name, date',
+    downloads: 'name, date',
+    chunks: '++id, name'
+});
+
+// Version 3: 'metadata' keeps a lightweight catalog entry per map (no blob), see listMapInfos()
+db.version(3).stores({
+    files: 'name, date',
+    styles: 'name, date',
+    downloads: 'name, date',
+    chunks: '++id, name',
+    metadata: 'name, date'
+});
+
+// Version 4: 'assets' keeps the glyphs and sprites of stored styles, keyed by map name and path
+db.version(4).stores({
+    files: 'name, date',
+    styles: 'name, date',
+    downloads: 'name, date',
+    chunks: '++id, name',
+    metadata: 'name, date',
+    assets: '[name+key], name'
+});
+
+// Version 5: 'tiles' caches the remote tiles of hybrid sources (see hybrid.js), keyed by cache name and z/x/y
+db.version(5).stores({
+    files: 'name, date',
+    styles: 'name, date',
+    downloads: 'name, date',
+    chunks: '++id, name',
+    metadata: 'name, date',
+    assets: '[name+key], name',
+    tiles: '[cache+key], cache, [cache+date]'
+});
+
+// Version 6: 'packages' lists the maps downloaded and removed together by downloadPackage() and removePackage()
+db.version(6).stores({
+    files: 'name, date',
+    styles: 'name, date',
+    downloads: 'name, date',
+    chunks: '++id, name',
+    metadata: 'name, date',
+    assets: '[name+key], name',
+    tiles: '[cache+key], cache, [cache+date]',
+    packages: 'name, date'
+});
+
+// Backfill catalog entries for maps stored before version 3. Reading the archives is async
+// work outside IndexedDB, which upgrade transactions do not allow, so it runs once the db is open.
+db.on('ready', async (vipDb) => {
+    const names = await vipDb.files.toCollection().primaryKeys();
+    const known = new Set(await vipDb.metadata.toCollection().primaryKeys());
+    for (const name of names.filter(n => !known.has(n))) {
+        const record = await vipDb.files.get(name);
+        if (!record.blob) continue; // Archive kept outside IndexedDB (OPFS), always committed with metadata
+        await vipDb.metadata.put({ ...(await archiveInfo(record.blob)), name, date: record.date, url: record.url });
+    }
+});
+
+/**
+ * Catalog information of an archive, or only its size when the header cannot be read
+ * @param {Blob} blob
+ */
+export async function archiveInfo(blob) {
+    try {
+        return await readArchiveInfo(blob);
+    } catch (err) {
+        console.error('Failed to read archive header:', err);
+        return { size: blob.size };
+    }
+}
+
 /**
  * Save a Blob to IndexedDB
  * @param {string} name - Unique name for the file
  * @param {Blob} blob - The binary data
  */
 export async function saveMapFile(name, blob) {
+    await commitMap(name, blob);
+}
+
+/**
+ * Save a map and its style in a single transaction, so readers never see
+ * a new archive with an old style (or the reverse).
+ * @param {string} name - Unique name for the map
+ * @param {Blob} blob - The PMTiles archive
+ * @param {Object} [source] - Where the map came from: { url, etag, lastModified, styleUrl, extract }
+ * @param {Object} [style] - Style JSON. When omitted the stored style is left untouched.
+ * @param {Array<{key: string, blob: Blob}>} [assets] - Glyphs and sprites of the style, replacing the stored ones
+ */
+export async function commitMap(name, blob, source = {}, style, assets) {
+    await commitMapRecord(name, { ...source, blob }, await archiveInfo(blob), style, assets);
+}
+
+/**
+ * Save a map record (the archive itself or a reference to it), its catalog entry and style in a single transaction
+ * @param {string} name - Unique name for the map
+ * @param {Object} fields - Record fields, e.g. { blob } or { file }, plus source information
+ * @param {Object} info - Catalog entry, see archiveInfo()
+ * @param {Object} [style] - Style JSON. When omitted the stored style is left untouched.
+ * @param {Array<{key: string, blob: Blob}>} [assets] - Glyphs and sprites of the style, replacing the stored ones
+ */
+export async function commitMapRecord(name, fields, info, style, assets) {
+    await commitMapRecords([{ name, fields, info, style, assets }]);
+}
+
+// Writes one map inside a transaction over files, metadata, styles and assets
+async function putMapRecord({ name, fields, info, style, assets }, date) {
+    await db.files.put({
+        ...fields,
+        name,
+        date
+    });
+    // Access time and pin survive updates of the archive
+    const previous = await db.metadata.get(name);
+    await db.metadata.put({
+        ...info,
+        name,
+        date,
+        url: fields.url,
+        lastAccessed: previous ? previous.lastAccessed : undefined,
+        pinned: previous ? previous.pinned : undefined
+    });
+    if (style) {
+        await db.styles.put({ name, style, date: new Date() });
+        if (assets) {
+            await db.assets.where('name').equals(name).delete();
+            await db.assets.bulkPut(assets.map(({ key, blob }) => ({ name, key, blob })));
+        }
+    }
+}
+
+// Deletes one map inside a transaction over files, metadata, styles and assets
+async function deleteMapRecord(name) {
+    await db.files.delete(name);
+    await db.metadata.delete(name);
+    await db.styles.delete(name);
+    await db.assets.where('name').equals(name).delete();
+}
+
+/**
+ * Save several maps in a single transaction: all of them are stored, or none.
+ * With a package, its record is saved too and the maps of the previous version that it no longer lists are deleted.
+ * @param {Array<Object>} entries - { name, fields, info, style, assets } as for commitMapRecord()
+ * @param {Object} [pkg] - Package record: { name, url, archives: [{ name, load }] }
+ * @returns {Promise<Array<Object>>} File records of the deleted maps
+ */
+export async function commitMapRecords(entries, pkg) {
+    const names = entries.map(e => e.name).join(', ');
     try {
-        await db.files.put({
-            name,
-            blob,
-            date: new Date()
+        const date = new Date();
+        let removed = [];
+        await db.transaction('rw', [db.files, db.styles, db.metadata, db.assets, db.packages], async () => {
+            for (const entry of entries) await putMapRecord(entry, date);
+            if (!pkg) return;
+
+            const previous = await db.packages.get(pkg.name);
+            const kept = new Set(entries.map(e => e.name));
+            const stale = previous ? previous.archives.map(a => a.name).filter(n => !kept.has(n)) : [];
+            removed = (await db.files.bulkGet(stale)).filter(Boolean);
+            for (const name of stale) await deleteMapRecord(name);
+            await db.packages.put({ ...pkg, date });
         });
-        console.log(`Saved ${name} to IndexedDB`);
+        console.log(`Saved ${names} to IndexedDB`);
+        return removed;
     } catch (err) {
-        console.error(`Failed to save ${name}:`, err);
+        console.error(`Failed to save ${names}:`, err);
         throw err;
     }
 }
 
+/**
+ * Retrieve a package record
+ * @param {string} name
+ * @returns {Promise<Object|null>} { name, url, archives: [{ name, load }], date }
+ */
+export async function getPackage(name) {
+    return (await db.packages.get(name)) || null;
+}
+
+/**
+ * List all package records
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listPackages() {
+    return await db.packages.toArray();
+}
+
+/**
+ * Delete a package and all its maps (archives, catalog entries, styles and assets) in a single transaction
+ * @param {string} name
+ * @returns {Promise<Array<Object>>} File records of the deleted maps
+ */
+export async function deletePackage(name) {
+    let removed = [];
+    await db.transaction('rw', [db.files, db.styles, db.metadata, db.assets, db.packages], async () => {
+        const pkg = await db.packages.get(name);
+        if (!pkg) return;
+        const names = pkg.archives.map(a => a.name);
+        removed = (await db.files.bulkGet(names)).filter(Boolean);
+        for (const member of names) await deleteMapRecord(member);
+        await db.packages.delete(name);
+    });
+    return removed;
+}
+
+/**
+ * Retrieve the full record of a stored map (blob and source information)
+ * @param {string} name - The name of the file
+ * @returns {Promise<Object|null>} The record or null if not found
+ */
+export async function getMapRecord(name) {
+    const record = await db.files.get(name);
+    return record || null;
+}
+
 /**
  * Retrieve a Blob from IndexedDB
  * @param {string} name - The name of the file
@@ -78,11 +280,43 @@ export async function getMapStyle(name) {
 }
 
 /**
- * Delete a map style
+ * Delete a map style and its glyphs and sprites
  * @param {string} name
  */
 export async function deleteMapStyle(name) {
-    return await db.styles.delete(name);
+    await db.transaction('rw', db.styles, db.assets, async () => {
+        await db.styles.delete(name);
+        await db.assets.where('name').equals(name).delete();
+    });
+}
+
+/**
+ * Retrieve a glyph or sprite file stored with a map style
+ * @param {string} name - Name of the map
+ * @param {string} key - Path of the asset, e.g. 'glyphs/Noto Sans Regular/0-255.pbf'
+ * @returns {Promise<Blob|null>}
+ */
+export async function getMapAsset(name, key) {
+    const record = await db.assets.get([name, key]);
+    return record ? record.blob : null;
+}
+
+/**
+ * List the keys of the glyphs and sprites stored with a map style
+ * @param {string} name - Name of the map
+ * @returns {Promise<Array<string>>}
+ */
+export async function listMapAssets(name) {
+    const keys = await db.assets.where('name').equals(name).primaryKeys();
+    return keys.map(([, key]) => key);
+}
+
+/**
+ * List the names of all stored styles
+ * @returns {Promise<Array<string>>}
+ */
+export async function listMapStyles() {
+    return await db.styles.toCollection().primaryKeys();
 }
 
 /**
@@ -98,5 +332,162 @@ export async function listMapFiles() {
  * @param {string} name
  */
 export async function deleteMapFile(name) {
-    return await db.files.delete(name);
+    await db.transaction('rw', db.files, db.metadata, async () => {
+        await db.files.delete(name);
+        await db.metadata.delete(name);
+    });
+}
+
+/**
+ * List the catalog entries of all stored maps, without loading their blobs
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listMapInfos() {
+    const [infos, styled] = await Promise.all([
+        db.metadata.toArray(),
+        db.styles.toCollection().primaryKeys()
+    ]);
+    const hasStyle = new Set(styled);
+    return infos.map(info => ({ ...info, hasStyle: hasStyle.has(info.name) }));
+}
+
+/**
+ * Retrieve the catalog entry of a stored map
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+export async function getMapInfo(name) {
+    const info = await db.metadata.get(name);
+    if (!info) return null;
+    const styles = await db.styles.where('name').equals(name).count();
+    return { ...info, hasStyle: styles > 0 };
+}
+
+/**
+ * Record that a map was just used (loaded or served by the protocol handler), for LRU eviction
+ * @param {string} name
+ */
+export async function touchMap(name) {
+    await db.metadata.update(name, { lastAccessed: new Date() });
+}
+
+/**
+ * Pin or unpin a map. Pinned maps are never evicted.
+ * @param {string} name
+ * @param {boolean} pinned
+ */
+export async function setMapPinned(name, pinned) {
+    const updated = await db.metadata.update(name, { pinned });
+    if (!updated) throw new Error(`Map ${name} not found in storage`);
+}
+
+/**
+ * Retrieve the record of an unfinished download
+ * @param {string} name - Name of the map being downloaded
+ * @returns {Promise<Object|null>} The download record or null if none is pending
+ */
+export async function getPendingDownload(name) {
+    const record = await db.downloads.get(name);
+    return record || null;
+}
+
+/**
+ * Create or update the record of an unfinished download
+ * @param {Object} record - { name, url, offset, total, etag, lastModified, style }
+ */
+export async function savePendingDownload(record) {
+    await db.downloads.put({ ...record, date: new Date() });
+}
+
+/**
+ * List all unfinished downloads
+ * @returns {Promise<Array<{name: string, url: string, offset: number, total: number|null, date: Date}>>}
+ */
+export async function listPendingDownloads() {
+    return await db.downloads.toArray();
+}
+
+/**
+ * Append a chunk to an unfinished download and advance its offset in one transaction,
+ * so the stored offset always matches the bytes actually stored.
+ * @param {string} name - Name of the map being downloaded
+ * @param {number} offset - Byte offset of the chunk in the file
+ * @param {Blob} blob - The chunk data
+ */
+export async function appendDownloadChunk(name, offset, blob) {
+    await db.transaction('rw', db.downloads, db.chunks, async () => {
+        await db.chunks.add({ name, offset, blob });
+        await db.downloads.update(name, { offset: offset + blob.size, date: new Date() });
+    });
+}
+
+/**
+ * Drop the chunks of an unfinished download, keeping its record (used to restart from byte zero)
+ * @param {string} name
+ */
+export async function clearDownloadChunks(name) {
+    await db.chunks.where('name').equals(name).delete();
+}
+
+/**
+ * Assemble the chunks of a download into a single Blob
+ * @param {string} name
+ * @returns {Promise<Blob>}
+ */
+export async function getDownloadBlob(name) {
+    const chunks = await db.chunks.where('name').equals(name).sortBy('offset');
+    return new Blob(chunks.map(c => c.blob));
+}
+
+/**
+ * Delete an unfinished download (record and chunks)
+ * @param {string} name
+ */
+export async function deletePendingDownload(name) {
+    await db.transaction('rw', db.downloads, db.chunks, async () => {
+        await db.chunks.where('name').equals(name).delete();
+        await db.downloads.delete(name);
+    });
+}
+
+/**
+ * Retrieve a tile from a hybrid source cache
+ * @param {string} cache - Name of the cache
+ * @param {string} key - 'z/x/y'
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function getCachedTile(cache, key) {
+    const record = await db.tiles.get([cache, key]);
+    return record ? record.data : null;
+}
+
+/**
+ * Store a tile in a hybrid source cache
+ * @param {string} cache - Name of the cache
+ * @param {string} key - 'z/x/y'
+ * @param {ArrayBuffer} data
+ */
+export async function putCachedTile(cache, key, data) {
+    await db.tiles.put({ cache, key, data, date: new Date() });
+}
+
+/**
+ * Delete the oldest tiles of a cache until it holds at most `max` tiles
+ * @param {string} cache - Name of the cache
+ * @param {number} max
+ */
+export async function trimTileCache(cache, max) {
+    const count = await db.tiles.where('cache').equals(cache).count();
+    if (count <= max) return;
+    const oldest = await db.tiles.where('[cache+date]').between([cache, Dexie.minKey], [cache, Dexie.maxKey])
+        .limit(count - max).primaryKeys();
+    await db.tiles.bulkDelete(oldest);
+}
+
+/**
+ * Delete all tiles of a hybrid source cache
+ * @param {string} cache - Name of the cache
+ */
+export async function clearTileCache(cache) {
+    await db.tiles.where('cache').equals(cache).delete();
 }
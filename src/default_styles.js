@@ -0,0 +1,260 @@
+// Layers drawn by loadMap() for vector maps stored without a style: a basemap style for the
+// Protomaps, OpenMapTiles and Shortbread schemas, and a style per geometry type for the others
+
+const THEMES = {
+    light: {
+        background: '#f8f4f0', earth: '#f8f4f0', water: '#a0c8f0', park: '#d8e8c8', wood: '#c6dcb0',
+        farmland: '#eef0d5', urban: '#ebe6df', ice: '#ffffff', sand: '#f5ebc8',
+        building: '#dfdbd7', buildingOutline: '#cfc8c1',
+        roadMajor: '#ffd080', roadMedium: '#ffffff', roadMinor: '#ffffff', casing: '#c8c0b8', path: '#b0a898', rail: '#a8a8a8',
+        boundary: '#9e9cab', label: '#333333', labelHalo: '#ffffff', waterLabel: '#4a80b8', lightness: 45
+    },
+    dark: {
+        background: '#1f2328', earth: '#1f2328', water: '#1b3550', park: '#23372a', wood: '#203426',
+        farmland: '#262b24', urban: '#272a2f', ice: '#3a3f45', sand: '#3a362c',
+        building: '#33373d', buildingOutline: '#2a2e33',
+        roadMajor: '#6d5a3a', roadMedium: '#4a4e55', roadMinor: '#3a3e45', casing: '#15181c', path: '#4a4e55', rail: '#555a60',
+        boundary: '#6a6875', label: '#d8d8d8', labelHalo: '#1f2328', waterLabel: '#7aa7d6', lightness: 65
+    }
+};
+
+// Fonts of the Protomaps and OpenMapTiles glyph sets
+const DEFAULT_FONT = ['Noto Sans Regular'];
+
+const POLYGONS = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+const LINES = ['match', ['geometry-type'], ['LineString', 'MultiLineString'], true, false];
+const POINTS = ['match', ['geometry-type'], ['Point', 'MultiPoint'], true, false];
+
+const width = (min, max) => ['interpolate', ['exponential', 1.6], ['zoom'], 5, min, 18, max];
+const among = (key, values) => ['in', ['get', key], ['literal', values]];
+
+// ['match'] on a property: pairs of [values, color], then the color of the other values
+function matchColor(key, pairs, fallback) {
+    return ['match', ['get', key], ...pairs.flat(), fallback];
+}
+
+function layer(type, id, sourceLayer, paint, { layout, ...extra } = {}) {
+    const result = { id, type, 'source-layer': sourceLayer, paint, ...extra };
+    if (layout) result.layout = layout;
+    return result;
+}
+
+const fill = (id, sourceLayer, color, { paint, ...extra } = {}) => layer('fill', id, sourceLayer,
+    { 'fill-color': color, ...paint }, extra);
+
+const line = (id, sourceLayer, color, lineWidth, { paint, ...extra } = {}) => layer('line', id, sourceLayer,
+    { 'line-color': color, 'line-width': lineWidth, ...paint },
+    { layout: { 'line-cap': 'round', 'line-join': 'round' }, ...extra });
+
+const building = (id, sourceLayer, t) => fill(id, sourceLayer, t.building, {
+    minzoom: 13, paint: { 'fill-outline-color': t.buildingOutline }
+});
+
+function label(id, sourceLayer, t, font, { size = 12, color = t.label, lines = false, ...extra } = {}) {
+    return layer('symbol', id, sourceLayer, {
+        'text-color': color,
+        'text-halo-color': t.labelHalo,
+        'text-halo-width': 1.5
+    }, {
+        filter: lines ? LINES : POINTS,
+        layout: {
+            'text-field': ['get', 'name'],
+            'text-font': font,
+            'text-size': size,
+            'symbol-placement': lines ? 'line' : 'point',
+            'text-max-width': 8
+        },
+        ...extra
+    });
+}
+
+// Road network of a layer whose `key` property holds the road class
+function roads(id, sourceLayer, key, { major, medium, minor, path }, t) {
+    const of = (values) => ['all', LINES, among(key, values)];
+    const size = (casing) => ['interpolate', ['exponential', 1.6], ['zoom'],
+        5, ['match', ['get', key], major, 1 + casing / 4, medium, 0.5 + casing / 4, 0.2 + casing / 4],
+        18, ['match', ['get', key], major, 18 + casing, medium, 14 + casing, 10 + casing]];
+    const main = [...major, ...medium];
+    return [
+        line(`${id}-path`, sourceLayer, t.path, width(0.5, 2), { minzoom: 14, filter: of(path), paint: { 'line-dasharray': [2, 1] } }),
+        line(`${id}-minor-casing`, sourceLayer, t.casing, size(2), { minzoom: 13, filter: of(minor) }),
+        line(`${id}-minor`, sourceLayer, t.roadMinor, size(0), { minzoom: 12, filter: of(minor) }),
+        line(`${id}-casing`, sourceLayer, t.casing, size(2), { minzoom: 8, filter: of(main) }),
+        line(`${id}-major`, sourceLayer, matchColor(key, [[major, t.roadMajor]], t.roadMedium), size(0), { filter: of(main) })
+    ];
+}
+
+const rail = (id, sourceLayer, filter, t) => line(id, sourceLayer, t.rail, width(0.5, 3), {
+    minzoom: 10, filter: ['all', LINES, filter], paint: { 'line-dasharray': [3, 2] }
+});
+
+const boundary = (id, sourceLayer, filter, t) => line(id, sourceLayer, t.boundary, width(0.8, 2), {
+    filter, paint: { 'line-dasharray': [3, 2] }
+});
+
+const placeSize = (key, sizes) => ['match', ['get', key], ...sizes.flat(), 11];
+
+const SCHEMAS = {
+    protomaps: {
+        // Protomaps basemap (v3 and v4)
+        detect: (ids) => ids.has('earth') && ids.has('roads'),
+        layers: (t) => [
+            fill('earth', 'earth', t.earth),
+            fill('landcover', 'landcover', matchColor('kind', [
+                [['forest'], t.wood], [['grassland', 'scrub'], t.park], [['farmland'], t.farmland],
+                [['glacier'], t.ice], [['barren'], t.sand]
+            ], t.urban)),
+            fill('landuse', 'landuse', matchColor('kind', [
+                [['park', 'nature_reserve', 'national_park', 'protected_area', 'garden', 'grass', 'golf_course', 'playground', 'cemetery'], t.park],
+                [['forest', 'wood'], t.wood], [['farmland', 'meadow', 'orchard', 'vineyard'], t.farmland],
+                [['glacier'], t.ice], [['beach', 'sand'], t.sand]
+            ], t.urban), { filter: POLYGONS }),
+            fill('water', 'water', t.water, { filter: POLYGONS }),
+            line('waterway', 'water', t.water, width(0.5, 4), { filter: LINES }),
+            building('buildings', 'buildings', t),
+            ...roads('roads', 'roads', 'kind', {
+                major: ['highway', 'major_road'], medium: ['medium_road'], minor: ['minor_road', 'other'], path: ['path']
+            }, t),
+            rail('rail', 'roads', among('kind', ['rail']), t),
+            rail('transit', 'transit', among('kind', ['rail']), t),
+            boundary('boundaries', 'boundaries', among('kind', ['country', 'region']), t)
+        ],
+        labels: (t, font) => [
+            label('roads-label', 'roads', t, font, { lines: true, size: 11, minzoom: 13 }),
+            label('water-label', 'water', t, font, { color: t.waterLabel }),
+            label('places-label', 'places', t, font, {
+                size: placeSize('kind', [[['country'], 14], [['region'], 12], [['locality'], 13]])
+            })
+        ]
+    },
+    openmaptiles: {
+        detect: (ids) => ids.has('transportation') && ids.has('water'),
+        layers: (t) => [
+            fill('landcover', 'landcover', matchColor('class', [
+                [['wood'], t.wood], [['grass', 'wetland'], t.park], [['farmland'], t.farmland],
+                [['ice'], t.ice], [['sand', 'rock'], t.sand]
+            ], t.park)),
+            fill('landuse', 'landuse', t.urban, {
+                filter: among('class', ['residential', 'commercial', 'industrial', 'retail', 'suburb', 'neighbourhood'])
+            }),
+            fill('park', 'park', t.park),
+            fill('water', 'water', t.water),
+            line('waterway', 'waterway', t.water, width(0.5, 4)),
+            building('building', 'building', t),
+            ...roads('transportation', 'transportation', 'class', {
+                major: ['motorway', 'trunk', 'primary'], medium: ['secondary', 'tertiary'],
+                minor: ['minor', 'service', 'track', 'raceway', 'busway'], path: ['path']
+            }, t),
+            rail('rail', 'transportation', among('class', ['rail', 'transit']), t),
+            boundary('boundary', 'boundary', ['all', ['<=', ['get', 'admin_level'], 4], ['!=', ['get', 'maritime'], 1]], t)
+        ],
+        labels: (t, font) => [
+            label('transportation-label', 'transportation_name', t, font, { lines: true, size: 11, minzoom: 13 }),
+            label('water-label', 'water_name', t, font, { color: t.waterLabel }),
+            label('place-label', 'place', t, font, {
+                size: placeSize('class', [[['country'], 14], [['state'], 12], [['city'], 13], [['town'], 12]])
+            })
+        ]
+    },
+    shortbread: {
+        detect: (ids) => ids.has('streets') && (ids.has('ocean') || ids.has('water_polygons')),
+        layers: (t) => [
+            fill('ocean', 'ocean', t.water),
+            fill('land', 'land', matchColor('kind', [
+                [['forest'], t.wood],
+                [['grass', 'grassland', 'meadow', 'park', 'village_green', 'recreation_ground', 'garden', 'cemetery', 'heath', 'scrub'], t.park],
+                [['farmland', 'farmyard', 'orchard', 'vineyard', 'allotments'], t.farmland],
+                [['residential', 'commercial', 'industrial', 'retail', 'railway', 'brownfield', 'garages'], t.urban],
+                [['beach', 'sand'], t.sand]
+            ], t.earth)),
+            fill('water', 'water_polygons', t.water),
+            line('water-lines', 'water_lines', t.water, width(0.5, 4)),
+            building('buildings', 'buildings', t),
+            ...roads('streets', 'streets', 'kind', {
+                major: ['motorway', 'trunk', 'primary'], medium: ['secondary', 'tertiary'],
+                minor: ['unclassified', 'residential', 'living_street', 'service', 'pedestrian', 'track'],
+                path: ['footway', 'cycleway', 'path', 'steps', 'bridleway']
+            }, t),
+            rail('rail', 'streets', among('kind', ['rail', 'light_rail', 'subway', 'narrow_gauge', 'tram', 'funicular', 'monorail']), t),
+            boundary('boundaries', 'boundaries', ['<=', ['get', 'admin_level'], 4], t)
+        ],
+        labels: (t, font) => [
+            label('streets-label', 'street_labels', t, font, { lines: true, size: 11, minzoom: 13 }),
+            label('water-lines-label', 'water_lines_labels', t, font, { lines: true, color: t.waterLabel }),
+            label('water-label', 'water_polygons_labels', t, font, { color: t.waterLabel }),
+            label('places-label', 'place_labels', t, font, {
+                size: placeSize('kind', [[['capital', 'state_capital'], 14], [['city'], 13], [['town'], 12]])
+            })
+        ]
+    }
+};
+
+/**
+ * Recognizes the tile schema of a vector archive from its layer ids
+ * @param {Object} metadata - PMTiles metadata with `vector_layers`
+ * @returns {'protomaps'|'openmaptiles'|'shortbread'|null}
+ */
+export function detectSchema(metadata) {
+    const ids = new Set(((metadata && metadata.vector_layers) || []).map(l => l.id));
+    return Object.keys(SCHEMAS).find(schema => SCHEMAS[schema].detect(ids)) || null;
+}
+
+// One fill, line or circle layer per geometry type of each vector layer (all three when unknown),
+// polygons under lines under points
+function genericLayers(metadata, t, font, labels) {
+    const geometries = new Map(((metadata.tilestats && metadata.tilestats.layers) || []).map(l => [l.layer, l.geometry]));
+    const groups = { fill: [], line: [], circle: [], label: [] };
+
+    (metadata.vector_layers || []).forEach((vectorLayer, i) => {
+        const { id } = vectorLayer;
+        const color = `hsl(${(i * 137) % 360}, 55%, ${t.lightness}%)`;
+        const geometry = geometries.get(id);
+        const zoom = vectorLayer.minzoom !== undefined ? { minzoom: vectorLayer.minzoom } : {};
+
+        if (!geometry || geometry === 'Polygon') {
+            groups.fill.push(fill(`${id}-fill`, id, color, {
+                filter: POLYGONS, ...zoom, paint: { 'fill-opacity': 0.35, 'fill-outline-color': color }
+            }));
+        }
+        if (!geometry || geometry === 'LineString') {
+            groups.line.push(line(`${id}-line`, id, color, width(0.5, 3), { filter: LINES, ...zoom }));
+        }
+        if (!geometry || geometry === 'Point') {
+            groups.circle.push(layer('circle', `${id}-circle`, id, {
+                'circle-color': color,
+                'circle-radius': ['interpolate', ['linear'], ['zoom'], 5, 2, 16, 5],
+                'circle-stroke-color': t.labelHalo,
+                'circle-stroke-width': 1
+            }, { filter: POINTS, ...zoom }));
+            if (labels && vectorLayer.fields && vectorLayer.fields.name !== undefined) {
+                groups.label.push(label(`${id}-label`, id, t, font, zoom));
+            }
+        }
+    });
+    return [...groups.fill, ...groups.line, ...groups.circle, ...groups.label];
+}
+
+/**
+ * Builds the default style of a vector archive stored without a style
+ * @param {Object} metadata - PMTiles metadata
+ * @param {Object} [options]
+ * @param {'light'|'dark'} [options.theme='light']
+ * @param {boolean} [options.labels=false] - Adds label layers; they need the map's glyphs to have `font`
+ * @param {Array<string>} [options.font] - Fontstack of the labels
+ * @returns {{schema: string|null, background: string, layers: Array<Object>}} Layers without `source`,
+ * ids not prefixed
+ */
+export function defaultStyle(metadata, options = {}) {
+    const t = THEMES[options.theme] || THEMES.light;
+    const font = options.font || DEFAULT_FONT;
+    const schema = detectSchema(metadata);
+    if (!schema) {
+        return { schema, background: t.background, layers: genericLayers(metadata || {}, t, font, options.labels) };
+    }
+
+    const { layers, labels } = SCHEMAS[schema];
+    const ids = new Set(metadata.vector_layers.map(l => l.id));
+    const all = [...layers(t, font), ...(options.labels ? labels(t, font) : [])];
+    // Layers of other versions of the schema
+    return { schema, background: t.background, layers: all.filter(l => ids.has(l['source-layer'])) };
+}
@@ -0,0 +1,33 @@
+/**
+ * Stable codes of OfflineError
+ */
+export const OFFLINE_ERROR = {
+    NOT_FOUND: 'NOT_FOUND',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    NETWORK: 'NETWORK',
+    INVALID_ARCHIVE: 'INVALID_ARCHIVE',
+    INTEGRITY: 'INTEGRITY',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    PAUSED: 'PAUSED',
+    CANCELLED: 'CANCELLED',
+    LOCKED: 'LOCKED',
+    FAILED: 'FAILED'
+};
+
+/**
+ * Error thrown (and carried by error events) by the plugin
+ */
+export class OfflineError extends Error {
+    /**
+     * @param {string} code - One of OFFLINE_ERROR
+     * @param {string} message
+     * @param {Object} [details] - Extra properties copied onto the error (e.g. status, required, available), and `cause`
+     */
+    constructor(code, message, details = {}) {
+        const { cause, ...rest } = details;
+        super(message, cause ? { cause } : undefined);
+        this.name = 'OfflineError';
+        this.code = code;
+        Object.assign(this, rest);
+    }
+}
@@ -0,0 +1,274 @@
+import { PMTiles, FetchSource, zxyToTileId } from 'pmtiles';
+import { PMTilesWriter, memoryOutput, FLUSH_SIZE } from './pmtiles_writer';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+import { pluginHeaders } from './plugin_request';
+
+// Refuse regions addressing more tiles than this (e.g. a whole country at z16)
+const MAX_TILES = 2000000;
+// Tile data ranges closer than this are fetched in a single request
+const MERGE_GAP = 16 * 1024;
+// Upper bound of a single merged range request
+const MAX_REQUEST = 4 * 1024 * 1024;
+// Bytes added to the estimate for the header, directories and metadata
+const ARCHIVE_OVERHEAD = 16384;
+
+const MAX_LAT = 85.0511287798;
+
+const lon2x = (lon, z) => Math.floor((lon + 180) / 360 * Math.pow(2, z));
+const lat2y = (lat, z) => {
+    const r = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat)) * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * Math.pow(2, z));
+};
+export const x2lon = (x, z) => x / Math.pow(2, z) * 360 - 180;
+export const y2lat = (y, z) => {
+    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+    return 180 / Math.PI * Math.atan(Math.sinh(n));
+};
+
+/**
+ * Returns the polygons (arrays of rings) of a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection
+ */
+function toPolygons(geojson) {
+    if (!geojson) return [];
+    switch (geojson.type) {
+        case 'FeatureCollection': return geojson.features.flatMap(toPolygons);
+        case 'Feature': return toPolygons(geojson.geometry);
+        case 'Polygon': return [geojson.coordinates];
+        case 'MultiPolygon': return geojson.coordinates;
+        default: throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Unsupported geometry type for extract: ${geojson.type}`);
+    }
+}
+
+function polygonsBbox(polygons) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(rings => rings[0].forEach(([lon, lat]) => {
+        bbox[0] = Math.min(bbox[0], lon);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lon);
+        bbox[3] = Math.max(bbox[3], lat);
+    }));
+    return bbox;
+}
+
+// Even-odd rule over all rings, so holes are excluded
+function pointInPolygon(lon, lat, rings) {
+    let inside = false;
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+        }
+    });
+    return inside;
+}
+
+function segmentsIntersect(a, b, c, d) {
+    const cross = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function rectIntersectsPolygon(w, s, e, n, rings) {
+    if (pointInPolygon((w + e) / 2, (s + n) / 2, rings)) return true;
+
+    const corners = [[w, s], [e, s], [e, n], [w, n]];
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i++) {
+            const [lon, lat] = ring[i];
+            if (lon >= w && lon <= e && lat >= s && lat <= n) return true;
+            const next = ring[(i + 1) % ring.length];
+            for (let k = 0; k < 4; k++) {
+                if (segmentsIntersect(ring[i], next, corners[k], corners[(k + 1) % 4])) return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Lists the Hilbert tile ids covering a region, sorted
+ * @param {Object} region - { bbox: [w, s, e, n] } or { polygon: GeoJSON }
+ * @param {number} minZoom
+ * @param {number} maxZoom
+ * @returns {Array<number>}
+ */
+export function regionTileIds(region, minZoom, maxZoom) {
+    const polygons = region.polygon ? toPolygons(region.polygon) : null;
+    if (polygons && polygons.length === 0) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'Extract polygon is empty');
+    const [w, s, e, n] = polygons ? polygonsBbox(polygons) : region.bbox;
+    // A bbox crossing the antimeridian is split in two
+    const lonRanges = w <= e ? [[w, e]] : [[w, 180], [-180, e]];
+
+    const ids = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const max = Math.pow(2, z) - 1;
+        const minY = Math.max(0, lat2y(n, z));
+        const maxY = Math.min(max, lat2y(s, z));
+        lonRanges.forEach(([west, east]) => {
+            const minX = Math.max(0, lon2x(west, z));
+            const maxX = Math.min(max, lon2x(east, z));
+            if ((maxX - minX + 1) * (maxY - minY + 1) + ids.length > MAX_TILES) {
+                throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Extract region is too large (more than ${MAX_TILES} tiles)`);
+            }
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    if (polygons) {
+                        const tw = x2lon(x, z), te = x2lon(x + 1, z);
+                        const tn = y2lat(y, z), ts = y2lat(y + 1, z);
+                        if (!polygons.some(rings => rectIntersectsPolygon(tw, ts, te, tn, rings))) continue;
+                    }
+                    ids.push(zxyToTileId(z, x, y));
+                }
+            }
+        });
+    }
+    return ids.sort((a, b) => a - b);
+}
+
+// Index of the first id >= value in a sorted array
+function lowerBound(sorted, value) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (sorted[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Walks the directories of a remote archive and resolves the tiles of a region.
+ * Only the header, the root directory and the leaf directories overlapping the region are read.
+ * @param {string} url - URL of the remote PMTiles archive
+ * @param {Object} options - { bbox | polygon, minZoom, maxZoom }
+ * @param {AbortSignal} [signal] - Aborts the header and directory requests
+ * @returns {Promise<Object>} { archive, header, metadata, bounds, minZoom, maxZoom, tiles, tileCount, bytes }
+ */
+export async function planExtract(url, options, signal) {
+    const remote = new FetchSource(url, pluginHeaders());
+    // The pmtiles library reads the header, metadata and directories without a signal
+    const archive = new PMTiles({
+        getKey: () => remote.getKey(),
+        getBytes: (offset, length, requestSignal, etag) => remote.getBytes(offset, length, requestSignal || signal, etag)
+    });
+    const header = await archive.getHeader();
+    const metadata = await archive.getMetadata();
+
+    if (!options.bbox && !options.polygon) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, 'Extract requires a bbox or a polygon');
+    const minZoom = Math.max(header.minZoom, options.minZoom ?? header.minZoom);
+    const maxZoom = Math.min(header.maxZoom, options.maxZoom ?? header.maxZoom);
+    if (minZoom > maxZoom) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Zoom range ${options.minZoom}-${options.maxZoom} is outside the archive (${header.minZoom}-${header.maxZoom})`);
+
+    const wanted = regionTileIds(options, minZoom, maxZoom);
+    const tiles = [];
+
+    const visit = async (offset, length, end) => {
+        signal?.throwIfAborted();
+        const entries = await archive.cache.getDirectory(archive.source, offset, length, header);
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const next = i + 1 < entries.length ? entries[i + 1].tileId : end;
+            if (entry.runLength === 0) {
+                // Leaf directory covering [entry.tileId, next)
+                const first = lowerBound(wanted, entry.tileId);
+                if (first < wanted.length && wanted[first] < next) {
+                    await visit(header.leafDirectoryOffset + entry.offset, entry.length, next);
+                }
+            } else {
+                let k = lowerBound(wanted, entry.tileId);
+                while (k < wanted.length && wanted[k] < entry.tileId + entry.runLength) {
+                    tiles.push({ tileId: wanted[k], offset: entry.offset, length: entry.length });
+                    k++;
+                }
+            }
+        }
+    };
+    await visit(header.rootDirectoryOffset, header.rootDirectoryLength, Infinity);
+    tiles.sort((a, b) => a.tileId - b.tileId);
+
+    const contents = new Map();
+    tiles.forEach(t => contents.set(t.offset, t.length));
+    let bytes = ARCHIVE_OVERHEAD;
+    contents.forEach(length => { bytes += length; });
+
+    let bounds = options.polygon ? polygonsBbox(toPolygons(options.polygon)) : options.bbox.slice();
+    bounds = [
+        Math.max(bounds[0], header.minLon), Math.max(bounds[1], header.minLat),
+        Math.min(bounds[2], header.maxLon), Math.min(bounds[3], header.maxLat)
+    ];
+    // Degenerate headers (all zeros) or antimeridian-crossing regions keep the requested bounds
+    if (bounds[0] > bounds[2] || bounds[1] > bounds[3]) {
+        bounds = options.polygon ? polygonsBbox(toPolygons(options.polygon)) : options.bbox.slice();
+    }
+
+    return { archive, header, metadata, bounds, minZoom, maxZoom, tiles, tileCount: tiles.length, bytes };
+}
+
+/**
+ * Fetches the tiles of a plan and writes them to a new PMTiles archive
+ * @param {Object} plan - Result of planExtract()
+ * @param {Function} [onBytes] - Called with the number of tile bytes fetched so far
+ * @param {AbortSignal} [signal]
+ * @param {{write: Function, read: Function}} [output] - Where the tile data goes, as for convertMbtiles().
+ * Defaults to memory.
+ * @returns {Promise<Blob>}
+ */
+export async function writeExtract(plan, onBytes, signal, output = memoryOutput()) {
+    const { archive, header, metadata, tiles } = plan;
+
+    // Tiles in the order of the new archive, grouped into merged range requests over their unique contents.
+    // Clustered archives store contents in that order too; tiles sharing content are written once.
+    const seen = new Set();
+    const batches = [];
+    tiles.forEach(t => {
+        let batch = batches[batches.length - 1];
+        if (seen.has(t.offset)) {
+            batch.tiles.push(t);
+            return;
+        }
+        seen.add(t.offset);
+        if (batch && t.offset >= batch.start && t.offset - batch.end <= MERGE_GAP && t.offset + t.length - batch.start <= MAX_REQUEST) {
+            batch.end = Math.max(batch.end, t.offset + t.length);
+        } else {
+            batch = { start: t.offset, end: t.offset + t.length, tiles: [] };
+            batches.push(batch);
+        }
+        batch.tiles.push({ ...t, first: true });
+    });
+
+    const writer = new PMTilesWriter();
+    let fetched = 0;
+    let written = 0;
+    for (const batch of batches) {
+        signal?.throwIfAborted();
+        const resp = await archive.source.getBytes(header.tileDataOffset + batch.start, batch.end - batch.start, signal, header.etag);
+        batch.tiles.forEach(t => {
+            const data = t.first ? new Blob([resp.data.slice(t.offset - batch.start, t.offset - batch.start + t.length)]) : null;
+            writer.addTile(t.tileId, data, t.offset);
+            if (t.first) fetched += t.length;
+        });
+        if (onBytes) onBytes(fetched);
+        if (writer.tileDataLength - written >= FLUSH_SIZE) {
+            await output.write(writer.takeData());
+            written = writer.tileDataLength;
+        }
+    }
+    await output.write(writer.takeData());
+
+    const [w, s, e, n] = plan.bounds;
+    const center = [(w + e) / 2, (s + n) / 2, plan.minZoom];
+
+    return writer.finish({
+        tileType: header.tileType,
+        tileCompression: header.tileCompression,
+        minZoom: plan.minZoom,
+        maxZoom: plan.maxZoom,
+        bounds: plan.bounds,
+        center,
+        metadata: { ...(metadata || {}), bounds: plan.bounds.join(','), minzoom: plan.minZoom, maxzoom: plan.maxZoom }
+    }, await output.read());
+}
@@ -0,0 +1,166 @@
+import { PMTiles, FetchSource } from 'pmtiles';
+import { openArchive } from './archive_cache';
+import { getCachedTile, putCachedTile, trimTileCache } from './db';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+import { markRequest, pluginHeaders } from './plugin_request';
+
+export const HYBRID_PROTOCOL = 'offline-pmtiles-hybrid';
+
+// Default number of remote tiles kept per cache
+const MAX_CACHED_TILES = 5000;
+// The cache size is checked every TRIM_INTERVAL stored tiles
+const TRIM_INTERVAL = 100;
+
+// id -> { name, url, type, cache, maxCachedTiles, minzoom, maxzoom, bounds, remote, stored }
+const sources = new Map();
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Declares a hybrid source, served by the offline-pmtiles-hybrid protocol as `offline-pmtiles-hybrid://{id}`
+ * @param {string} id
+ * @param {Object} config
+ * @param {string} [config.name] - Stored map serving the tiles it contains
+ * @param {Object} [config.storage] - Backend storing it, defaults to getStorage()
+ * @param {string} [config.url] - Remote PMTiles archive, or XYZ template with {z}, {x} and {y}
+ * @param {'pmtiles'|'xyz'} [config.type] - Kind of remote URL, guessed from the URL when omitted
+ * @param {boolean} [config.cache=false] - Keep remote tiles in IndexedDB for offline use
+ * @param {number} [config.maxCachedTiles=5000] - Oldest cached tiles are deleted beyond this count
+ * @param {number} [config.minzoom] - Overrides the zoom range and bounds read from the archives
+ * @param {number} [config.maxzoom]
+ * @param {Array<number>} [config.bounds]
+ * @param {Function} [config.onError] - Called with (error, message) for failures that do not fail a tile request:
+ * caching a remote tile, reading the remote header
+ */
+export function registerHybridSource(id, config) {
+    if (!config.name && !config.url) {
+        throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Hybrid source ${id} needs a stored map name or a remote URL`);
+    }
+    const type = config.type || (/\{z\}/.test(config.url || '') ? 'xyz' : 'pmtiles');
+    sources.set(id, { maxCachedTiles: MAX_CACHED_TILES, ...config, type, remote: null, stored: 0 });
+}
+
+export function unregisterHybridSource(id) {
+    sources.delete(id);
+}
+
+function getSource(id) {
+    const source = sources.get(id);
+    if (!source) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `Hybrid source ${id} is not registered`);
+    return source;
+}
+
+// The stored archive, or null when the map is not (or no longer) stored
+async function openLocal(source) {
+    if (!source.name) return null;
+    try {
+        return await openArchive(source.name, source.storage);
+    } catch (e) {
+        if (e.code === OFFLINE_ERROR.NOT_FOUND) return null;
+        throw e;
+    }
+}
+
+function openRemote(source) {
+    // Marked, so a service worker never answers the remote side with a stored map
+    if (!source.remote) source.remote = new PMTiles(new FetchSource(source.url, pluginHeaders()));
+    return source.remote;
+}
+
+async function fetchRemoteTile(source, z, x, y, signal) {
+    if (source.type === 'pmtiles') {
+        const tile = await openRemote(source).getZxy(z, x, y, signal);
+        return tile ? tile.data : null;
+    }
+    const url = source.url.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    const response = await fetch(url, markRequest({ signal }));
+    if (response.status === 404 || response.status === 204) return null;
+    if (!response.ok) throw new OfflineError(OFFLINE_ERROR.NETWORK, `Tile request failed with status ${response.status}`, { status: response.status });
+    return await response.arrayBuffer();
+}
+
+async function cacheTile(id, source, key, data) {
+    try {
+        await putCachedTile(id, key, data);
+        if (++source.stored % TRIM_INTERVAL === 0) await trimTileCache(id, source.maxCachedTiles);
+    } catch (e) {
+        // A full cache must not break rendering
+        if (source.onError) source.onError(e, `Failed to cache tile ${key} of ${id}`);
+    }
+}
+
+/**
+ * TileJSON of a hybrid source: the zoom range and bounds covering both the stored and the remote archive
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export async function getHybridTileJSON(id) {
+    const source = getSource(id);
+    const headers = [];
+
+    const local = await openLocal(source);
+    if (local) headers.push(await local.getHeader());
+    if (source.url && source.type === 'pmtiles' && isOnline()) {
+        try {
+            headers.push(await openRemote(source).getHeader());
+        } catch (e) {
+            // The stored archive alone gives the zoom range and bounds
+            if (source.onError) source.onError(e, `Failed to read remote header of ${id}`);
+        }
+    }
+
+    let minzoom = 0, maxzoom = 14, bounds = [-180, -85.0511287798, 180, 85.0511287798];
+    if (headers.length > 0) {
+        minzoom = Math.min(...headers.map(h => h.minZoom));
+        maxzoom = Math.max(...headers.map(h => h.maxZoom));
+        const valid = headers.filter(h => h.minLon < h.maxLon && h.minLat < h.maxLat);
+        if (valid.length > 0) {
+            bounds = [
+                Math.min(...valid.map(h => h.minLon)), Math.min(...valid.map(h => h.minLat)),
+                Math.max(...valid.map(h => h.maxLon)), Math.max(...valid.map(h => h.maxLat))
+            ];
+        }
+    }
+
+    return {
+        tilejson: "3.0.0",
+        tiles: [`${HYBRID_PROTOCOL}://${id}/{z}/{x}/{y}`],
+        minzoom: source.minzoom ?? minzoom,
+        maxzoom: source.maxzoom ?? maxzoom,
+        bounds: source.bounds || bounds
+    };
+}
+
+/**
+ * Tile of a hybrid source: from the stored archive when it has it, otherwise from the remote URL
+ * while online, otherwise from the tile cache
+ * @param {string} id
+ * @param {number} z
+ * @param {number} x
+ * @param {number} y
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function getHybridTile(id, z, x, y, signal) {
+    const source = getSource(id);
+    const key = `${z}/${x}/${y}`;
+
+    const local = await openLocal(source);
+    if (local) {
+        const tile = await local.getZxy(z, x, y, signal);
+        if (tile) return tile.data;
+    }
+
+    if (source.url && isOnline()) {
+        try {
+            const data = await fetchRemoteTile(source, z, x, y, signal);
+            if (data && source.cache) await cacheTile(id, source, key, data);
+            return data;
+        } catch (e) {
+            signal?.throwIfAborted();
+            // Lost connection without an offline event yet: fall back to the cache
+        }
+    }
+
+    return source.cache ? await getCachedTile(id, key) : null;
+}
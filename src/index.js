@@ -1 +1,6 @@
-export { OfflinePlugin, OFFLINE_STATUS } from './OfflinePlugin';
+export { OfflinePlugin, OFFLINE_STATUS, DownloadHandle, DownloadJob } from './OfflinePlugin';
+export { OfflineError, OFFLINE_ERROR } from './errors';
+export { IndexedDBStorage } from './storage';
+export { OPFSStorage } from './opfs_storage';
+export { createOfflineTileHandler, registerOfflineTileRoutes, offlineTilesPlugin, isPluginRequest, toNetworkRequest } from './service_worker';
+export { OfflineManagerControl, DEFAULT_STRINGS } from './OfflineManagerControl';
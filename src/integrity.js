@@ -0,0 +1,64 @@
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+// Subresource Integrity algorithms, weakest first
+const SRI_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+async function digest(algorithm, blob) {
+    return new Uint8Array(await crypto.subtle.digest(algorithm, await blob.arrayBuffer()));
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} SHA-256 digest of the blob, as lowercase hex
+ */
+export async function sha256Hex(blob) {
+    return Array.from(await digest('SHA-256', blob), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parses a Subresource Integrity value ('sha384-<base64> sha512-<base64>...').
+ * As in browsers, only the hashes of the strongest algorithm are kept.
+ * @returns {{algorithm: string, hashes: Array<string>}|null} null without any supported hash
+ */
+function parseIntegrity(integrity) {
+    const names = Object.keys(SRI_ALGORITHMS);
+    const hashes = String(integrity).trim().split(/\s+/)
+        .map(token => /^(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})(\?.*)?$/.exec(token))
+        .filter(Boolean)
+        // base64url is accepted too
+        .map(([, name, hash]) => ({ name, hash: hash.replace(/-/g, '+').replace(/_/g, '/') }));
+    if (hashes.length === 0) return null;
+    const strongest = hashes.reduce((best, h) => names.indexOf(h.name) > names.indexOf(best) ? h.name : best, hashes[0].name);
+    return { algorithm: strongest, hashes: hashes.filter(h => h.name === strongest).map(h => h.hash.replace(/=+$/, '')) };
+}
+
+/**
+ * Checks a downloaded file against its expected size, SHA-256 digest and Subresource Integrity value
+ * @param {Blob} blob
+ * @param {Object} expected
+ * @param {number} [expected.size] - Bytes
+ * @param {string} [expected.sha256] - Hex digest
+ * @param {string} [expected.integrity] - Subresource Integrity value, e.g. 'sha384-<base64>'
+ * @param {string} label - What the file is, for error messages
+ * @throws {OfflineError} INTEGRITY when the file does not match, INVALID_ARGUMENT for an unsupported integrity value
+ */
+export async function verifyFile(blob, { size, sha256, integrity }, label) {
+    if (size !== undefined && size !== null && blob.size !== size) {
+        throw new OfflineError(OFFLINE_ERROR.INTEGRITY, `${label} is ${blob.size} bytes, ${size} expected`, { expected: size, actual: blob.size });
+    }
+    if (sha256) {
+        const actual = await sha256Hex(blob);
+        if (actual !== sha256.toLowerCase()) {
+            throw new OfflineError(OFFLINE_ERROR.INTEGRITY, `${label} does not match its SHA-256 checksum`, { expected: sha256, actual });
+        }
+    }
+    if (integrity) {
+        const parsed = parseIntegrity(integrity);
+        if (!parsed) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Unsupported integrity value for ${label}: ${integrity}`);
+        const bytes = await digest(SRI_ALGORITHMS[parsed.algorithm], blob);
+        const encoded = btoa(String.fromCharCode(...bytes));
+        if (!parsed.hashes.includes(encoded.replace(/=+$/, ''))) {
+            throw new OfflineError(OFFLINE_ERROR.INTEGRITY, `${label} does not match its integrity value`, { expected: integrity, actual: `${parsed.algorithm}-${encoded}` });
+        }
+    }
+}
@@ -0,0 +1,181 @@
+// MBTiles (https://github.com/mapbox/mbtiles-spec) to PMTiles v3 conversion.
+// The SQLite file is read with sql.js, the WebAssembly build of SQLite, given by the application.
+import { zxyToTileId, TileType, Compression } from 'pmtiles';
+import { PMTilesWriter, memoryOutput, FLUSH_SIZE } from './pmtiles_writer';
+import { x2lon, y2lat } from './extract';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+const TILE_TYPES = {
+    pbf: TileType.Mvt,
+    mvt: TileType.Mvt,
+    png: TileType.Png,
+    jpg: TileType.Jpeg,
+    jpeg: TileType.Jpeg,
+    webp: TileType.Webp,
+    avif: TileType.Avif
+};
+
+// Tiles converted between two pauses, which let the page render the progress
+const BATCH_SIZE = 1000;
+
+const COMPRESSION_NAMES = { [Compression.None]: 'uncompressed', [Compression.Gzip]: 'gzip-compressed' };
+
+const isGzip = (bytes) => bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+const rows = (db, sql) => {
+    const [result] = db.exec(sql);
+    return result ? result.values : [];
+};
+
+function parseNumbers(value, count) {
+    const numbers = String(value || '').split(',').map(Number);
+    return numbers.length === count && numbers.every(n => !isNaN(n)) ? numbers : null;
+}
+
+// Smallest and largest values, without spreading millions of arguments
+function range(values) {
+    return values.reduce(([min, max], v) => [Math.min(min, v), Math.max(max, v)], [Infinity, -Infinity]);
+}
+
+// Bounds of the tiles of the lowest zoom level, for files without a bounds metadata row
+function tileBounds([minX, maxX, minY, maxY], z) {
+    return [x2lon(minX, z), y2lat(maxY + 1, z), x2lon(maxX + 1, z), y2lat(minY, z)];
+}
+
+/**
+ * Converts an MBTiles file to a PMTiles v3 archive.
+ * sql.js has no streaming reader: the database is held in memory while converting. Tiles are read one by one
+ * in the order of the archive, and their data is handed to `output` in blobs of a few MB as it is converted.
+ * The rows of the `metadata` table become the JSON metadata, with the fields of its `json` row
+ * (vector_layers, tilestats...) at the top level; bounds, center, zooms and format also fill the header.
+ * @param {Object} SQL - sql.js module, as resolved by initSqlJs()
+ * @param {Blob} file - The MBTiles file
+ * @param {Function} [onTiles] - Called with the number of converted tiles and the total
+ * @param {{write: Function, read: Function}} [output] - Where the tile data goes: `write(blob)` is awaited
+ * for each part, in order, and `read()` resolves to all of them as a Blob. Defaults to memory.
+ * @returns {Promise<Blob>}
+ * @throws {OfflineError} INVALID_ARCHIVE when the file is not an MBTiles database, or mixes gzip-compressed
+ * and uncompressed tiles
+ */
+export async function convertMbtiles(SQL, file, onTiles, output = memoryOutput()) {
+    const invalid = (reason, cause) => new OfflineError(OFFLINE_ERROR.INVALID_ARCHIVE, `${file.name || 'File'} is not a valid MBTiles file: ${reason}`, { cause });
+
+    const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+    try {
+        let tables;
+        try {
+            tables = new Set(rows(db, "SELECT name FROM sqlite_master WHERE type IN ('table', 'view')").map(([name]) => name));
+        } catch (e) {
+            throw invalid('not an SQLite database', e);
+        }
+        if (!tables.has('tiles') || !tables.has('metadata')) throw invalid('no tiles or metadata table');
+
+        const metadata = Object.fromEntries(rows(db, 'SELECT name, value FROM metadata'));
+        // Tiles sharing an image of the deduplicated layout (map and images tables behind the tiles view)
+        // are stored once, keyed by the rowid of the image
+        const deduplicated = tables.has('map') && tables.has('images');
+        const from = deduplicated ? 'map JOIN images ON images.tile_id = map.tile_id' : 'tiles';
+
+        const [[count]] = rows(db, `SELECT COUNT(*) FROM ${from}`);
+        if (!count) throw invalid('no tiles');
+
+        // The tile index takes a few bytes per tile, in typed arrays
+        const ids = new Float64Array(count);
+        const zooms = new Uint8Array(count);
+        const columns = new Uint32Array(count);
+        const tileRows = new Uint32Array(count);
+        const keys = deduplicated ? new Float64Array(count) : null;
+        // zoom -> [minX, maxX, minY, maxY]
+        const extents = new Map();
+
+        const list = db.prepare(deduplicated
+            ? `SELECT map.zoom_level, map.tile_column, map.tile_row, images.rowid FROM ${from}`
+            : 'SELECT zoom_level, tile_column, tile_row FROM tiles');
+        let total = 0;
+        try {
+            while (total < count && list.step()) {
+                const [z, x, row, key] = list.get();
+                // MBTiles rows count from the south (TMS)
+                const y = Math.pow(2, z) - 1 - row;
+                ids[total] = zxyToTileId(z, x, y);
+                zooms[total] = z;
+                columns[total] = x;
+                tileRows[total] = row;
+                if (keys) keys[total] = key;
+
+                const extent = extents.get(z);
+                if (extent) {
+                    extent[0] = Math.min(extent[0], x);
+                    extent[1] = Math.max(extent[1], x);
+                    extent[2] = Math.min(extent[2], y);
+                    extent[3] = Math.max(extent[3], y);
+                } else {
+                    extents.set(z, [x, x, y, y]);
+                }
+                total++;
+            }
+        } finally {
+            list.free();
+        }
+
+        // The writer takes the tiles in Hilbert order
+        const order = new Uint32Array(total).map((_, i) => i).sort((a, b) => ids[a] - ids[b]);
+
+        const statement = db.prepare(deduplicated
+            ? 'SELECT tile_data FROM images WHERE rowid = ?'
+            : 'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+        const writer = new PMTilesWriter();
+        let tileCompression;
+        let written = 0;
+        try {
+            for (let i = 0; i < total; i++) {
+                const t = order[i];
+                statement.bind(keys ? [keys[t]] : [zooms[t], columns[t], tileRows[t]]);
+                const data = statement.step() ? statement.get()[0] : null;
+                statement.reset();
+                if (data && data.length > 0) {
+                    // The archive has a single tile compression
+                    const compression = isGzip(data) ? Compression.Gzip : Compression.None;
+                    if (tileCompression === undefined) tileCompression = compression;
+                    if (compression !== tileCompression) {
+                        throw invalid(`tile ${zooms[t]}/${columns[t]}/${tileRows[t]} is ${COMPRESSION_NAMES[compression]}, previous tiles are ${COMPRESSION_NAMES[tileCompression]}`);
+                    }
+                    writer.addTile(ids[t], data, keys ? keys[t] : undefined);
+                }
+                if (writer.tileDataLength - written >= FLUSH_SIZE) {
+                    await output.write(writer.takeData());
+                    written = writer.tileDataLength;
+                }
+                if ((i + 1) % BATCH_SIZE === 0 || i === total - 1) {
+                    if (onTiles) onTiles(i + 1, total);
+                    await new Promise(resolve => setTimeout(resolve));
+                }
+            }
+        } finally {
+            statement.free();
+        }
+        await output.write(writer.takeData());
+
+        const { json, ...fields } = metadata;
+        let layers = {};
+        try {
+            if (json) layers = JSON.parse(json);
+        } catch (e) {
+            // A broken json row only loses the layer descriptions
+        }
+
+        const [minZoom, maxZoom] = range([...extents.keys()]);
+        const bounds = parseNumbers(metadata.bounds, 4) || tileBounds(extents.get(minZoom), minZoom);
+        return writer.finish({
+            tileType: TILE_TYPES[String(metadata.format).toLowerCase()] ?? TileType.Unknown,
+            tileCompression: tileCompression ?? Compression.None,
+            minZoom,
+            maxZoom,
+            bounds,
+            center: parseNumbers(metadata.center, 3) || undefined,
+            metadata: { ...fields, ...layers, bounds: bounds.join(',') }
+        }, await output.read());
+    } finally {
+        db.close();
+    }
+}
@@ -0,0 +1,129 @@
+import { db, archiveInfo, commitMapRecords, deleteMapFile, deletePackage } from './db';
+import { BlobSource, FileHandleSource } from './pmtiles_adapter';
+import { IndexedDBStorage } from './storage';
+
+const DEFAULT_DIRECTORY = 'maplibre-offline-pmtiles';
+
+/**
+ * Storage backend keeping archives as files in the Origin Private File System.
+ * Large archives are faster to write and read there than IndexedDB blobs, and do not hit
+ * Safari's IndexedDB blob limits. Styles and their assets, source information and the catalog stay in IndexedDB,
+ * the map record only references the archive file.
+ */
+export class OPFSStorage extends IndexedDBStorage {
+    /**
+     * @returns {boolean} Whether the browser supports writable OPFS files on this thread
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.storage && !!navigator.storage.getDirectory
+            && typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype;
+    }
+
+    /**
+     * @param {string} [directory] - OPFS directory holding the archives
+     */
+    constructor(directory = DEFAULT_DIRECTORY) {
+        super();
+        this.directoryName = directory;
+        this.directory = null;
+    }
+
+    // See storageKey() in storage.js
+    _storageKey() {
+        return this.directoryName === DEFAULT_DIRECTORY ? 'opfs' : `opfs-${this.directoryName}`;
+    }
+
+    // A new file is written next to the staged chunks (and next to the previous version of the map)
+    commitBytes(size) {
+        return size;
+    }
+
+    _getDirectory() {
+        if (!this.directory) {
+            this.directory = navigator.storage.getDirectory()
+                .then(root => root.getDirectoryHandle(this.directoryName, { create: true }));
+        }
+        return this.directory;
+    }
+
+    async _getHandle(name) {
+        const record = await db.files.get(name);
+        if (!record) return null;
+        if (record.blob) return record.blob; // Stored before switching to OPFS
+        const dir = await this._getDirectory();
+        try {
+            return await dir.getFileHandle(record.file);
+        } catch (e) {
+            if (e.name === 'NotFoundError') return null;
+            throw e;
+        }
+    }
+
+    async saveArchive(name, blob, source = {}, style, assets) {
+        await this.saveArchives([{ name, blob, source, style, assets }]);
+    }
+
+    async saveArchives(entries, pkg) {
+        const dir = await this._getDirectory();
+        const previous = (await db.files.bulkGet(entries.map(e => e.name))).filter(Boolean);
+        const written = [];
+        let removed;
+        try {
+            const records = [];
+            for (const { name, blob, source = {}, style, assets } of entries) {
+                // Each version gets its own file: the previous one stays readable until the record points to the new one
+                const file = `${encodeURIComponent(name)}.${Date.now()}.pmtiles`;
+                const handle = await dir.getFileHandle(file, { create: true });
+                written.push(file);
+                const writable = await handle.createWritable();
+                try {
+                    await writable.write(blob);
+                    await writable.close();
+                } catch (e) {
+                    await writable.abort();
+                    throw e;
+                }
+                records.push({ name, fields: { ...source, file }, info: await archiveInfo(blob), style, assets });
+            }
+            removed = await commitMapRecords(records, pkg);
+        } catch (e) {
+            await Promise.all(written.map(file => dir.removeEntry(file).catch(() => { })));
+            throw e;
+        }
+
+        await this._removeFiles([...previous, ...removed].filter(r => r.file && !written.includes(r.file)));
+        return removed.map(r => r.name);
+    }
+
+    async deletePackage(name) {
+        const removed = await deletePackage(name);
+        await this._removeFiles(removed);
+        return removed.map(r => r.name);
+    }
+
+    async _removeFiles(records) {
+        const dir = await this._getDirectory();
+        await Promise.all(records.filter(r => r.file).map(r => dir.removeEntry(r.file).catch(() => { })));
+    }
+
+    async getArchive(name) {
+        const handle = await this._getHandle(name);
+        if (!handle) return null;
+        return handle instanceof Blob ? handle : await handle.getFile();
+    }
+
+    async openSource(name) {
+        const handle = await this._getHandle(name);
+        if (!handle) return null;
+        return handle instanceof Blob ? new BlobSource(handle, name) : new FileHandleSource(handle, name);
+    }
+
+    async deleteArchive(name) {
+        const record = await db.files.get(name);
+        await deleteMapFile(name);
+        if (record && record.file) {
+            const dir = await this._getDirectory();
+            await dir.removeEntry(record.file).catch(() => { });
+        }
+    }
+}
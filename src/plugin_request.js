@@ -0,0 +1,25 @@
+// Marker of the requests of the plugin (downloads, updates, extracts, remote side of hybrid sources),
+// which service workers serving stored maps let through to the server. It is only sent to a controlling
+// service worker, which removes it before going to the network (see service_worker.js).
+
+export const PLUGIN_REQUEST_HEADER = 'X-Offline-Pmtiles';
+
+const controlled = () => typeof navigator !== 'undefined' && !!navigator.serviceWorker && !!navigator.serviceWorker.controller;
+
+/**
+ * Marks the init of a fetch() made by the plugin
+ * @param {Object} init - fetch() options, with plain object headers
+ * @returns {Object}
+ */
+export function markRequest(init) {
+    if (!controlled()) return init;
+    return { ...init, headers: { ...init.headers, [PLUGIN_REQUEST_HEADER]: '1' } };
+}
+
+/**
+ * Headers marking the requests of a PMTiles FetchSource
+ * @returns {Headers}
+ */
+export function pluginHeaders() {
+    return new Headers(controlled() ? { [PLUGIN_REQUEST_HEADER]: '1' } : {});
+}
@@ -1,3 +1,6 @@
+import { PMTiles, bytesToHeader } from 'pmtiles';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
 
 export class BlobSource {
     constructor(blob, key) {
@@ -15,3 +18,119 @@ export class BlobSource {
         return { data: buffer };
     }
 }
+
+/**
+ * PMTiles source reading ranges straight from an Origin Private File System file handle
+ */
+export class FileHandleSource {
+    constructor(handle, key) {
+        this.handle = handle;
+        this.key = key || handle.name;
+        this.file = null;
+    }
+
+    getKey() {
+        return this.key;
+    }
+
+    async getBytes(offset, length) {
+        // Archives are never modified in place (a new version is a new file), so the snapshot stays valid
+        if (!this.file) this.file = this.handle.getFile();
+        const file = await this.file;
+        const buffer = await file.slice(offset, offset + length).arrayBuffer();
+        return { data: buffer };
+    }
+}
+
+const TILE_TYPES = ['unknown', 'mvt', 'png', 'jpeg', 'webp', 'avif', 'mlt'];
+
+const HEADER_SIZE = 127;
+// Readers fetch the header and the root directory with a single request of this size
+const ROOT_DIRECTORY_END = 16384;
+const MAGIC = 'PMTiles';
+const SPEC_VERSION = 3;
+
+/**
+ * Checks that a blob is a complete PMTiles v3 archive before it is stored: magic number and version,
+ * sections within the file and ending with it, readable root directory and metadata.
+ * Catches HTML error pages, captive portal answers and truncated downloads.
+ * @param {Blob} blob
+ * @param {string} [label='File'] - What the file is, for error messages
+ * @returns {Promise<Object>} Catalog information, see readArchiveInfo()
+ * @throws {OfflineError} INVALID_ARCHIVE
+ */
+export async function validateArchive(blob, label = 'File') {
+    const invalid = (reason, cause) => new OfflineError(OFFLINE_ERROR.INVALID_ARCHIVE, `${label} is not a valid PMTiles archive: ${reason}`, { cause });
+
+    const bytes = await blob.slice(0, HEADER_SIZE).arrayBuffer();
+    const magic = new TextDecoder().decode(bytes.slice(0, MAGIC.length));
+    if (magic !== MAGIC) {
+        const html = /^\s*</.test(new TextDecoder().decode(bytes));
+        throw invalid(html ? 'it is an HTML page' : 'wrong magic number');
+    }
+    if (blob.size < HEADER_SIZE) throw invalid(`truncated to ${blob.size} bytes`);
+    const version = new Uint8Array(bytes)[MAGIC.length];
+    if (version !== SPEC_VERSION) throw invalid(`unsupported version ${version}, ${SPEC_VERSION} expected`);
+
+    const header = bytesToHeader(bytes);
+    if (header.rootDirectoryOffset + header.rootDirectoryLength > ROOT_DIRECTORY_END) {
+        throw invalid(`root directory ends after the first ${ROOT_DIRECTORY_END} bytes`);
+    }
+    const end = Math.max(
+        header.rootDirectoryOffset + header.rootDirectoryLength,
+        header.jsonMetadataOffset + header.jsonMetadataLength,
+        header.leafDirectoryOffset + header.leafDirectoryLength,
+        header.tileDataOffset + header.tileDataLength
+    );
+    if (blob.size < end) throw invalid(`truncated to ${blob.size} bytes, ${end} expected from its header`);
+    if (blob.size > end) throw invalid(`${blob.size} bytes, ${end} expected from its header`);
+
+    const p = new PMTiles(new BlobSource(blob));
+    let root;
+    try {
+        await p.getHeader();
+        root = await p.cache.getDirectory(p.source, header.rootDirectoryOffset, header.rootDirectoryLength, header);
+    } catch (e) {
+        throw invalid(`unreadable root directory: ${e.message}`, e);
+    }
+    if (root.length === 0 && header.numAddressedTiles > 0) throw invalid('empty root directory');
+    // Tiles point into the tile data, and leaf entries (run length 0) into the leaf directories
+    const outside = root.find(entry => entry.offset + entry.length >
+        (entry.runLength > 0 ? header.tileDataLength : header.leafDirectoryLength));
+    if (outside) throw invalid(`root directory entry of tile ${outside.tileId} points outside the archive`);
+
+    try {
+        if (header.jsonMetadataLength > 0) await p.getMetadata();
+    } catch (e) {
+        throw invalid(`unreadable metadata: ${e.message}`, e);
+    }
+    return await readArchiveInfo(blob);
+}
+
+/**
+ * Reads the catalog information of a PMTiles archive from its header and metadata
+ * @param {Blob} blob - The PMTiles archive
+ * @returns {Promise<Object>} { size, tileType, minZoom, maxZoom, bounds, center, attribution, vectorLayers }
+ */
+export async function readArchiveInfo(blob) {
+    const p = new PMTiles(new BlobSource(blob));
+    const header = await p.getHeader();
+    const metadata = (await p.getMetadata()) || {};
+
+    let bounds = [header.minLon, header.minLat, header.maxLon, header.maxLat];
+    if (!bounds[0] && !bounds[2] && metadata.bounds) {
+        const b = (Array.isArray(metadata.bounds) ? metadata.bounds : String(metadata.bounds).split(',')).map(Number);
+        if (b.length === 4) bounds = b;
+    }
+
+    return {
+        size: blob.size,
+        tileType: TILE_TYPES[header.tileType] || 'unknown',
+        minZoom: header.minZoom,
+        maxZoom: header.maxZoom,
+        bounds,
+        center: [header.centerLon, header.centerLat, header.centerZoom],
+        attribution: metadata.attribution || null,
+        vectorLayers: (metadata.vector_layers || []).map(l => l.id)
+    };
+}
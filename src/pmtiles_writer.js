@@ -0,0 +1,243 @@
+// Minimal PMTiles v3 writer: https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+
+const HEADER_SIZE = 127;
+const ROOT_DIRECTORY_MAX = 16384 - HEADER_SIZE;
+
+const COMPRESSION_NONE = 1;
+
+// Tile data is handed to the output of the converters every FLUSH_SIZE bytes (see takeData())
+export const FLUSH_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Output keeping the tile data in memory, the default of the converters.
+ * `write(blob)` is awaited for each part, in order, and `read()` resolves to all of them as a Blob.
+ */
+export function memoryOutput() {
+    const parts = [];
+    return {
+        write: async (blob) => { parts.push(blob); },
+        read: async () => new Blob(parts)
+    };
+}
+
+function writeVarint(bytes, n) {
+    // Arithmetic instead of bitwise operators: tile ids and offsets can exceed 32 bits
+    while (n >= 0x80) {
+        bytes.push((n % 0x80) | 0x80);
+        n = Math.floor(n / 0x80);
+    }
+    bytes.push(n);
+}
+
+function setUint64(view, pos, n) {
+    view.setUint32(pos, n % 0x100000000, true);
+    view.setUint32(pos + 4, Math.floor(n / 0x100000000), true);
+}
+
+/**
+ * Serializes directory entries (tileId, runLength, length, offset columns, delta-encoded)
+ * @param {Array<{tileId: number, offset: number, length: number, runLength: number}>} entries
+ * @returns {Uint8Array}
+ */
+export function serializeDirectory(entries) {
+    const bytes = [];
+    writeVarint(bytes, entries.length);
+
+    let lastId = 0;
+    for (const e of entries) {
+        writeVarint(bytes, e.tileId - lastId);
+        lastId = e.tileId;
+    }
+    for (const e of entries) writeVarint(bytes, e.runLength);
+    for (const e of entries) writeVarint(bytes, e.length);
+    entries.forEach((e, i) => {
+        const prev = entries[i - 1];
+        if (i > 0 && e.offset === prev.offset + prev.length) writeVarint(bytes, 0);
+        else writeVarint(bytes, e.offset + 1);
+    });
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Builds the root directory, moving entries to leaf directories when it does not fit in the first 16 KiB
+ * @returns {{root: Uint8Array, leaves: Uint8Array}}
+ */
+export function buildDirectories(entries) {
+    const root = serializeDirectory(entries);
+    if (root.length <= ROOT_DIRECTORY_MAX) {
+        return { root, leaves: new Uint8Array(0) };
+    }
+
+    let leafSize = 4096;
+    while (true) {
+        const rootEntries = [];
+        const leafParts = [];
+        let leafOffset = 0;
+        for (let i = 0; i < entries.length; i += leafSize) {
+            const chunk = entries.slice(i, i + leafSize);
+            const leaf = serializeDirectory(chunk);
+            rootEntries.push({ tileId: chunk[0].tileId, offset: leafOffset, length: leaf.length, runLength: 0 });
+            leafParts.push(leaf);
+            leafOffset += leaf.length;
+        }
+        const root = serializeDirectory(rootEntries);
+        if (root.length <= ROOT_DIRECTORY_MAX) {
+            const leaves = new Uint8Array(leafOffset);
+            let pos = 0;
+            leafParts.forEach(part => {
+                leaves.set(part, pos);
+                pos += part.length;
+            });
+            return { root, leaves };
+        }
+        leafSize *= 2;
+    }
+}
+
+/**
+ * Serializes a PMTiles v3 header
+ * @returns {Uint8Array}
+ */
+export function serializeHeader(h) {
+    const buffer = new ArrayBuffer(HEADER_SIZE);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    bytes.set([0x50, 0x4D, 0x54, 0x69, 0x6C, 0x65, 0x73], 0); // "PMTiles"
+    view.setUint8(7, 3);
+    setUint64(view, 8, h.rootDirectoryOffset);
+    setUint64(view, 16, h.rootDirectoryLength);
+    setUint64(view, 24, h.jsonMetadataOffset);
+    setUint64(view, 32, h.jsonMetadataLength);
+    setUint64(view, 40, h.leafDirectoryOffset);
+    setUint64(view, 48, h.leafDirectoryLength);
+    setUint64(view, 56, h.tileDataOffset);
+    setUint64(view, 64, h.tileDataLength);
+    setUint64(view, 72, h.numAddressedTiles);
+    setUint64(view, 80, h.numTileEntries);
+    setUint64(view, 88, h.numTileContents);
+    view.setUint8(96, h.clustered ? 1 : 0);
+    view.setUint8(97, h.internalCompression);
+    view.setUint8(98, h.tileCompression);
+    view.setUint8(99, h.tileType);
+    view.setUint8(100, h.minZoom);
+    view.setUint8(101, h.maxZoom);
+    view.setInt32(102, Math.round(h.minLon * 1e7), true);
+    view.setInt32(106, Math.round(h.minLat * 1e7), true);
+    view.setInt32(110, Math.round(h.maxLon * 1e7), true);
+    view.setInt32(114, Math.round(h.maxLat * 1e7), true);
+    view.setUint8(118, h.centerZoom);
+    view.setInt32(119, Math.round(h.centerLon * 1e7), true);
+    view.setInt32(123, Math.round(h.centerLat * 1e7), true);
+
+    return bytes;
+}
+
+/**
+ * Writes a clustered PMTiles v3 archive. Tiles must be added in increasing Hilbert tileId order
+ * (see `zxyToTileId` from the pmtiles library); the archive is returned as a Blob by finish().
+ * Large archives can move their tile data out of memory as it is added, see takeData().
+ */
+export class PMTilesWriter {
+    constructor() {
+        this.entries = [];
+        this.parts = [];
+        this.contents = new Map();
+        this.tileDataLength = 0;
+        this.numAddressedTiles = 0;
+        this.numTileContents = 0;
+        this.lastTileId = -1;
+    }
+
+    /**
+     * Appends a tile
+     * @param {number} tileId - Hilbert tile id
+     * @param {ArrayBuffer|Uint8Array|Blob|null} data - Tile bytes, already compressed with the archive's tile compression.
+     * May be null when a tile with the same key was added before.
+     * @param {string|number} [key] - Content key: tiles sharing a key are stored once
+     */
+    addTile(tileId, data, key) {
+        if (tileId <= this.lastTileId) throw new Error('Tiles must be added in increasing tileId order');
+        this.lastTileId = tileId;
+
+        let offset, length;
+        if (key !== undefined && this.contents.has(key)) {
+            ({ offset, length } = this.contents.get(key));
+        } else {
+            offset = this.tileDataLength;
+            length = data.size !== undefined ? data.size : data.byteLength;
+            this.parts.push(data);
+            this.tileDataLength += length;
+            this.numTileContents++;
+            if (key !== undefined) this.contents.set(key, { offset, length });
+        }
+
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.offset === offset && last.length === length && last.tileId + last.runLength === tileId) {
+            last.runLength++;
+        } else {
+            this.entries.push({ tileId, offset, length, runLength: 1 });
+        }
+        this.numAddressedTiles++;
+    }
+
+    /**
+     * Takes the tile data added since the last call, to be written out and given back to finish()
+     * @returns {Blob}
+     */
+    takeData() {
+        const data = new Blob(this.parts);
+        this.parts = [];
+        return data;
+    }
+
+    /**
+     * Assembles the archive
+     * @param {Object} options
+     * @param {number} options.tileType - PMTiles TileType (1 = MVT, 2 = PNG...)
+     * @param {number} options.tileCompression - PMTiles Compression of the tile data
+     * @param {number} options.minZoom
+     * @param {number} options.maxZoom
+     * @param {Array<number>} options.bounds - [minLon, minLat, maxLon, maxLat]
+     * @param {Array<number>} [options.center] - [lon, lat, zoom]
+     * @param {Object} [options.metadata] - JSON metadata
+     * @param {Blob} [taken] - The tile data returned by takeData(), in order
+     * @returns {Blob}
+     */
+    finish({ tileType, tileCompression, minZoom, maxZoom, bounds, center, metadata }, taken) {
+        const { root, leaves } = buildDirectories(this.entries);
+        const json = new TextEncoder().encode(JSON.stringify(metadata || {}));
+        const c = center || [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, minZoom];
+
+        const header = serializeHeader({
+            rootDirectoryOffset: HEADER_SIZE,
+            rootDirectoryLength: root.length,
+            jsonMetadataOffset: HEADER_SIZE + root.length,
+            jsonMetadataLength: json.length,
+            leafDirectoryOffset: HEADER_SIZE + root.length + json.length,
+            leafDirectoryLength: leaves.length,
+            tileDataOffset: HEADER_SIZE + root.length + json.length + leaves.length,
+            tileDataLength: this.tileDataLength,
+            numAddressedTiles: this.numAddressedTiles,
+            numTileEntries: this.entries.length,
+            numTileContents: this.numTileContents,
+            clustered: true,
+            internalCompression: COMPRESSION_NONE,
+            tileCompression,
+            tileType,
+            minZoom,
+            maxZoom,
+            minLon: bounds[0],
+            minLat: bounds[1],
+            maxLon: bounds[2],
+            maxLat: bounds[3],
+            centerZoom: Math.round(c[2]),
+            centerLon: c[0],
+            centerLat: c[1]
+        });
+
+        const data = taken ? [taken, ...this.parts] : this.parts;
+        return new Blob([header, root, json, leaves, ...data], { type: 'application/vnd.pmtiles' });
+    }
+}
@@ -0,0 +1,208 @@
+// Service worker side: answers tile and archive requests from the maps stored by OfflinePlugin,
+// so plain https:// tile and PMTiles URLs work offline for any consumer of the page.
+import { openArchive, invalidateArchive } from './archive_cache';
+import { createStorage } from './create_storage';
+import { PLUGIN_REQUEST_HEADER } from './plugin_request';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+import { openMapChannel } from './coordination';
+
+const TILE_MIME_TYPES = {
+    1: 'application/vnd.mapbox-vector-tile',
+    2: 'image/png',
+    3: 'image/jpeg',
+    4: 'image/webp',
+    5: 'image/avif'
+};
+
+// Stored map URLs are looked up again after this delay, to see maps downloaded meanwhile
+const URL_INDEX_TTL = 10000;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Root-relative URLs are resolved against the service worker origin
+const absolute = (url) => url.startsWith('/') ? self.location.origin + url : url;
+
+function templateToRegExp(template) {
+    return new RegExp('^' + escapeRegExp(template)
+        .replace('\\{z\\}', '(?<z>\\d+)')
+        .replace('\\{x\\}', '(?<x>\\d+)')
+        .replace('\\{y\\}', '(?<y>\\d+)') + '$');
+}
+
+function compileRoute({ urlPattern, name }) {
+    let pattern = urlPattern;
+    if (typeof pattern === 'string') {
+        pattern = pattern.includes('{z}')
+            ? templateToRegExp(absolute(pattern))
+            : new RegExp('^' + escapeRegExp(absolute(pattern)) + '$');
+    }
+    const tile = pattern.source.includes('(?<z>');
+    if (tile && !name) throw new OfflineError(OFFLINE_ERROR.INVALID_ARGUMENT, `Tile route ${urlPattern} needs a stored map name`);
+    return { pattern, name, tile };
+}
+
+// Without a Range header, or with one this handler does not support (multiple ranges), the whole archive is sent
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return undefined;
+    if (match[1] === '') {
+        return { start: Math.max(0, size - parseInt(match[2], 10)), end: size - 1 };
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    return start <= end ? { start, end } : null;
+}
+
+/**
+ * Tells whether a request was made by OfflinePlugin (downloads, updates), which must reach the server
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isPluginRequest(request) {
+    return request.headers.has(PLUGIN_REQUEST_HEADER);
+}
+
+/**
+ * Copy of a request without the marker of OfflinePlugin, to send to the network.
+ * Servers then do not need to allow the header in their CORS settings.
+ * @param {Request} request
+ * @returns {Request}
+ */
+export function toNetworkRequest(request) {
+    if (!isPluginRequest(request)) return request;
+    const headers = new Headers(request.headers);
+    headers.delete(PLUGIN_REQUEST_HEADER);
+    return new Request(request, { headers });
+}
+
+/**
+ * Creates the request handler of a service worker serving stored maps.
+ * @param {Object} [options]
+ * @param {'indexeddb'|'opfs'|Object} [options.storage='indexeddb'] - Same backend as the page's OfflinePlugin
+ * @param {Array<{urlPattern: string|RegExp, name?: string}>} [options.routes] - Requests to answer:
+ * a tile URL template with {z}, {x} and {y} (or a RegExp with z, x and y named groups) served from the map `name`,
+ * or the URL of a PMTiles archive, served with range requests from the map `name`, or without `name`
+ * from the stored map downloaded in full (not extracted) from that URL
+ * @returns {{match: Function, handle: Function}} `match(url)` tells whether a URL is routed,
+ * `handle(request)` resolves to a Response, or null when the request must go to the network
+ */
+export function createOfflineTileHandler(options = {}) {
+    const storage = createStorage(options.storage);
+    const routes = (options.routes || []).map(compileRoute);
+
+    let urlIndex = null;
+    let urlIndexDate = 0;
+    const storedName = async (url) => {
+        if (!urlIndex || Date.now() - urlIndexDate > URL_INDEX_TTL) {
+            // Extracts only hold part of the archive at their URL
+            const records = await storage.listArchives();
+            urlIndex = new Map(records.filter(r => r.url && !r.extract).map(r => [new URL(r.url, self.location.href).href, r.name]));
+            urlIndexDate = Date.now();
+        }
+        return urlIndex.get(url) || null;
+    };
+
+    // Maps added, updated or removed by the pages
+    openMapChannel(({ name }) => {
+        invalidateArchive(name, storage);
+        urlIndex = null;
+    });
+
+    const findRoute = (url) => {
+        const href = typeof url === 'string' ? url : url.href;
+        const bare = href.split(/[?#]/)[0];
+        for (const route of routes) {
+            const match = route.pattern.exec(href) || route.pattern.exec(bare);
+            if (match) return { route, match };
+        }
+        return null;
+    };
+
+    const tileResponse = async (name, groups) => {
+        const archive = await openArchive(name, storage);
+        const header = await archive.getHeader();
+        const tile = await archive.getZxy(parseInt(groups.z, 10), parseInt(groups.x, 10), parseInt(groups.y, 10));
+        if (!tile) return new Response(null, { status: 204 });
+        return new Response(tile.data, {
+            status: 200,
+            headers: { 'Content-Type': TILE_MIME_TYPES[header.tileType] || 'application/octet-stream' }
+        });
+    };
+
+    const archiveResponse = async (name, request) => {
+        const blob = await storage.getArchive(name);
+        if (!blob) return null;
+        const record = await storage.getArchiveRecord(name);
+        const headers = { 'Content-Type': 'application/vnd.pmtiles', 'Accept-Ranges': 'bytes' };
+        if (record && record.etag) headers['ETag'] = record.etag;
+
+        const rangeHeader = request.headers.get('Range');
+        const range = rangeHeader ? parseRange(rangeHeader, blob.size) : undefined;
+        if (range === null) {
+            return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+        }
+        if (!range) {
+            return new Response(blob, { status: 200, headers: { ...headers, 'Content-Length': String(blob.size) } });
+        }
+        return new Response(blob.slice(range.start, range.end + 1), {
+            status: 206,
+            headers: {
+                ...headers,
+                'Content-Range': `bytes ${range.start}-${range.end}/${blob.size}`,
+                'Content-Length': String(range.end - range.start + 1)
+            }
+        });
+    };
+
+    return {
+        match(url) {
+            return findRoute(url) !== null;
+        },
+
+        async handle(request) {
+            // Downloads and updates of the plugin must reach the server
+            if (request.method !== 'GET' || isPluginRequest(request)) return null;
+            const found = findRoute(request.url);
+            if (!found) return null;
+
+            const { route, match } = found;
+            try {
+                if (route.tile) return await tileResponse(route.name, match.groups);
+                const name = route.name || await storedName(request.url.split('#')[0]);
+                return name ? await archiveResponse(name, request) : null;
+            } catch (e) {
+                if (e.code !== OFFLINE_ERROR.NOT_FOUND) console.error(`Failed to serve ${request.url} from storage:`, e);
+                return null;
+            }
+        }
+    };
+}
+
+/**
+ * Adds a fetch listener answering the routed requests from storage, and from the network otherwise.
+ * Call it at the top level of the service worker, before other fetch listeners.
+ * @param {Object} [options] - See createOfflineTileHandler()
+ * @returns {{match: Function, handle: Function}} The handler
+ */
+export function registerOfflineTileRoutes(options) {
+    const handler = createOfflineTileHandler(options);
+    self.addEventListener('fetch', (event) => {
+        if (!handler.match(event.request.url)) return;
+        event.respondWith(handler.handle(event.request).then(response => response || fetch(toNetworkRequest(event.request))));
+    });
+    return handler;
+}
+
+/**
+ * Workbox plugin answering from storage. With CacheFirst the stored map wins over the Workbox cache
+ * and the network; with network strategies it is used when the network fails.
+ * @param {Object} handlerOrOptions - A handler from createOfflineTileHandler(), or its options
+ * @returns {Object} Workbox plugin
+ */
+export function offlineTilesPlugin(handlerOrOptions) {
+    const handler = handlerOrOptions && handlerOrOptions.handle ? handlerOrOptions : createOfflineTileHandler(handlerOrOptions);
+    return {
+        cachedResponseWillBeUsed: async ({ request, cachedResponse }) => (await handler.handle(request)) || cachedResponse,
+        handlerDidError: async ({ request }) => (await handler.handle(request)) || undefined
+    };
+}
@@ -0,0 +1,207 @@
+import {
+    archiveInfo, commitMapRecords, getPackage, listPackages, deletePackage, getMapFile, getMapRecord, listMapFiles, deleteMapFile, saveMapStyle, getMapStyle,
+    deleteMapStyle, listMapStyles, getMapAsset, listMapAssets, listMapInfos, getMapInfo, touchMap, setMapPinned
+} from './db';
+import { BlobSource } from './pmtiles_adapter';
+import { OfflineError, OFFLINE_ERROR } from './errors';
+
+/**
+ * Storage backends persist map archives and their styles. A backend implements:
+ *
+ * - `saveArchive(name, blob, source, style, assets)`: stores an archive, its source information
+ *   ({ url, etag, lastModified, styleUrl, extract }) and optionally its style with its glyphs
+ *   and sprites ([{ key, blob }]), atomically
+ * - `saveArchives(entries, pkg)`: stores several archives ([{ name, blob, source, style, assets }]) in one
+ *   atomic commit, with the record of the package ({ name, url, archives }) they belong to. Maps of the
+ *   previous version of the package that it no longer lists are deleted. Resolves to their names.
+ * - `getPackage(name)` / `listPackages()` / `deletePackage(name)`: deleting a package deletes all its maps,
+ *   and resolves to their names
+ * - `getArchive(name)`: the archive as a Blob, or null
+ * - `openSource(name)`: a PMTiles `Source` reading ranges of the archive, or null
+ * - `readRange(name, offset, length)`: an ArrayBuffer, or null if the archive is not stored
+ * - `getArchiveRecord(name)` / `listArchives()`: source information, without the archive bytes
+ * - `deleteArchive(name)`
+ * - `saveStyle(name, style)` / `getStyle(name)` / `deleteStyle(name)` / `listStyles()`:
+ *   deleting a style also deletes its assets
+ * - `getAsset(name, key)`: a stored glyph or sprite file as a Blob, or null
+ * - `listAssets(name)`: keys of the stored glyphs and sprites of a map
+ * - `listInfos()` / `getInfo(name)`: catalog entries, see OfflinePlugin.listMaps()
+ * - `touch(name)`: records the access time used for LRU eviction
+ * - `setPinned(name, pinned)`: pinned maps are never evicted
+ * - `commitBytes(size)` (optional): bytes that saving an archive of `size` bytes writes, while the staged
+ *   download chunks it is assembled from are still stored. Used for the quota check, defaults to `size`.
+ */
+export class IndexedDBStorage {
+    // See storageKey()
+    _storageKey() {
+        return 'indexeddb';
+    }
+
+    // The archive record gets its own copy of the blob
+    commitBytes(size) {
+        return size;
+    }
+
+    async saveArchive(name, blob, source = {}, style, assets) {
+        await this.saveArchives([{ name, blob, source, style, assets }]);
+    }
+
+    async saveArchives(entries, pkg) {
+        const records = await Promise.all(entries.map(async ({ name, blob, source = {}, style, assets }) => ({
+            name, fields: { ...source, blob }, info: await archiveInfo(blob), style, assets
+        })));
+        const removed = await commitMapRecords(records, pkg);
+        return removed.map(r => r.name);
+    }
+
+    async getPackage(name) {
+        return await getPackage(name);
+    }
+
+    async listPackages() {
+        return await listPackages();
+    }
+
+    async deletePackage(name) {
+        const removed = await deletePackage(name);
+        return removed.map(r => r.name);
+    }
+
+    async getArchive(name) {
+        return await getMapFile(name);
+    }
+
+    async openSource(name) {
+        const blob = await getMapFile(name);
+        return blob ? new BlobSource(blob, name) : null;
+    }
+
+    async readRange(name, offset, length) {
+        const source = await this.openSource(name);
+        if (!source) return null;
+        const { data } = await source.getBytes(offset, length);
+        return data;
+    }
+
+    async getArchiveRecord(name) {
+        const record = await getMapRecord(name);
+        if (!record) return null;
+        const { blob, ...rest } = record;
+        return rest;
+    }
+
+    async listArchives() {
+        const records = await listMapFiles();
+        return records.map(({ blob, ...rest }) => rest);
+    }
+
+    async deleteArchive(name) {
+        await deleteMapFile(name);
+    }
+
+    async saveStyle(name, style) {
+        await saveMapStyle(name, style);
+    }
+
+    async getStyle(name) {
+        return await getMapStyle(name);
+    }
+
+    async deleteStyle(name) {
+        await deleteMapStyle(name);
+    }
+
+    async listStyles() {
+        return await listMapStyles();
+    }
+
+    async getAsset(name, key) {
+        return await getMapAsset(name, key);
+    }
+
+    async listAssets(name) {
+        return await listMapAssets(name);
+    }
+
+    async listInfos() {
+        return await listMapInfos();
+    }
+
+    async getInfo(name) {
+        return await getMapInfo(name);
+    }
+
+    async touch(name) {
+        await touchMap(name);
+    }
+
+    async setPinned(name, pinned) {
+        await setMapPinned(name, pinned);
+    }
+}
+
+// Backends the protocol handlers read from, by key (see storageKey())
+const storages = new Map();
+// Backend of the protocol URLs without a storage parameter: the last registered one
+let defaultKey = null;
+// Keys of custom backends
+const customKeys = new WeakMap();
+let customCount = 0;
+
+/**
+ * Key of a backend in protocol URLs. Instances of a built-in backend reading the same data share
+ * a key ('indexeddb', 'opfs'); custom backends, subclasses included, get a key of their own.
+ * @param {Object} storage
+ * @returns {string}
+ */
+export function storageKey(storage) {
+    if (Object.prototype.hasOwnProperty.call(Object.getPrototypeOf(storage), '_storageKey')) return storage._storageKey();
+    if (!customKeys.has(storage)) customKeys.set(storage, `custom-${++customCount}`);
+    return customKeys.get(storage);
+}
+
+/**
+ * Makes a backend reachable from the protocol handlers, and the one of URLs without a storage parameter
+ * @param {Object} storage
+ * @returns {string} Its key, see storageKey()
+ */
+export function registerStorage(storage) {
+    const key = storageKey(storage);
+    storages.set(key, storage);
+    defaultKey = key;
+    return key;
+}
+
+/**
+ * @param {string} [key] - See storageKey(), defaults to the last registered backend
+ * @returns {Object} The backend the protocol handlers read from
+ * @throws {OfflineError} NOT_FOUND when no backend has this key
+ */
+export function getStorage(key) {
+    if (!key && !defaultKey) registerStorage(new IndexedDBStorage());
+    const storage = storages.get(key || defaultKey);
+    if (!storage) throw new OfflineError(OFFLINE_ERROR.NOT_FOUND, `No storage backend ${key}: create the OfflinePlugin using it first`);
+    return storage;
+}
+
+/**
+ * Adds the storage parameter read by the protocol handlers to a URL
+ * @param {string} url
+ * @param {string} [key] - See storageKey(); the URL is left unchanged without it
+ * @returns {string}
+ */
+export function withStorage(url, key) {
+    return key ? `${url}?storage=${encodeURIComponent(key)}` : url;
+}
+
+/**
+ * Splits a URL of a protocol of the plugin
+ * @param {string} url - e.g. offline-pmtiles://paris/1/2/3?storage=opfs
+ * @param {string} protocol - e.g. offline-pmtiles
+ * @returns {{path: string, storage: string|undefined}} The URL after `protocol://`, without query string,
+ * and the storage key
+ */
+export function parseProtocolUrl(url, protocol) {
+    const [path, query] = url.replace(`${protocol}://`, '').split('?');
+    return { path, storage: new URLSearchParams(query || '').get('storage') || undefined };
+}
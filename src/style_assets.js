@@ -0,0 +1,256 @@
+// Glyphs and sprites referenced by a style, stored next to the map so labels and icons render offline
+import { withStorage } from './storage';
+
+export const GLYPHS_PROTOCOL = 'offline-pmtiles-glyphs';
+export const SPRITE_PROTOCOL = 'offline-pmtiles-sprite';
+
+// Fontstack MapLibre uses for symbol layers without 'text-font'
+const DEFAULT_FONTSTACK = ['Open Sans Regular', 'Arial Unicode MS Regular'];
+
+// Start of the 256-codepoint glyph ranges fetched by default: Latin, Latin-1 and Extended,
+// IPA, Greek, Cyrillic and general punctuation
+export const DEFAULT_GLYPH_RANGES = [0, 256, 512, 768, 1024, 8192];
+
+const SPRITE_FILES = ['.json', '.png', '@2x.json', '@2x.png'];
+
+// Id of the sprite when the style's `sprite` is a single URL
+const DEFAULT_SPRITE = 'default';
+
+// Properties naming images of the sprites
+const IMAGE_PROPERTIES = {
+    layout: ['icon-image'],
+    paint: ['background-pattern', 'fill-pattern', 'line-pattern', 'fill-extrusion-pattern']
+};
+
+// Parallel requests while fetching assets
+const CONCURRENCY = 6;
+
+// Operators that can start a 'text-font' expression; any other array of strings is a fontstack
+const FONT_EXPRESSIONS = ['literal', 'get', 'step', 'match', 'case', 'coalesce', 'let', 'var'];
+
+const isFontstack = (value) => Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string');
+
+// Inside expressions fontstacks are always wrapped in 'literal'
+function addExpressionFonts(value, stacks) {
+    if (!Array.isArray(value)) return;
+    if (value[0] === 'literal') {
+        if (isFontstack(value[1])) stacks.add(value[1].join(','));
+    } else {
+        value.forEach(v => addExpressionFonts(v, stacks));
+    }
+}
+
+function addFonts(value, stacks) {
+    if (isFontstack(value) && !FONT_EXPRESSIONS.includes(value[0])) {
+        stacks.add(value.join(','));
+    } else if (Array.isArray(value)) {
+        addExpressionFonts(value, stacks);
+    } else if (value && Array.isArray(value.stops)) {
+        // Legacy zoom function: { stops: [[zoom, fontstack], ...] }
+        value.stops.forEach(([, fonts]) => addFonts(fonts, stacks));
+    }
+}
+
+/**
+ * Lists the fontstacks used by the symbol layers of a style
+ * @param {Object} style - Style JSON
+ * @returns {Array<string>} Fontstacks, fonts joined by commas as in glyph URLs
+ */
+export function collectFontstacks(style) {
+    const stacks = new Set();
+    (style.layers || []).forEach(layer => {
+        const layout = layer.layout || {};
+        if (layer.type !== 'symbol' || layout['text-field'] === undefined) return;
+        addFonts(layout['text-font'] || DEFAULT_FONTSTACK, stacks);
+    });
+    return [...stacks];
+}
+
+/**
+ * Storage key of a glyph range
+ * @param {string} fontstack
+ * @param {number} start - First codepoint of the range, a multiple of 256
+ */
+export function glyphKey(fontstack, start) {
+    return `glyphs/${fontstack}/${start}-${start + 255}.pbf`;
+}
+
+/**
+ * Storage key of a sprite file
+ * @param {string} id - Sprite id
+ * @param {string} file - '.json', '.png', '@2x.json' or '@2x.png'
+ */
+export function spriteKey(id, file) {
+    return `sprite/${id}${file}`;
+}
+
+function spriteList(sprite) {
+    if (!sprite) return [];
+    return typeof sprite === 'string' ? [{ id: DEFAULT_SPRITE, url: sprite }] : sprite;
+}
+
+// Absolute http(s) URL, or null for URLs that cannot be fetched (mapbox://, already offline...)
+function resolveUrl(url, baseUrl) {
+    try {
+        const base = baseUrl || (typeof location !== 'undefined' ? location.href : undefined);
+        const resolved = new URL(url, base);
+        return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Sprite file URL: the suffix goes before the query string, as MapLibre does
+function spriteFileUrl(url, baseUrl, file) {
+    const resolved = resolveUrl(url, baseUrl);
+    if (!resolved) return null;
+    resolved.pathname += file;
+    return resolved.href;
+}
+
+/**
+ * Fetches the glyphs and sprites referenced by a style.
+ * Files that cannot be fetched (missing @2x sprites, glyph ranges a font does not have...) are skipped.
+ * @param {Object} style - Style JSON
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - URL of the style, to resolve relative glyph and sprite URLs
+ * @param {boolean} [options.glyphs=true] - Fetch glyphs
+ * @param {boolean} [options.sprite=true] - Fetch sprites
+ * @param {Array<string>} [options.fonts] - Fontstacks to fetch, defaults to those used by the style
+ * @param {Array<number>|'all'} [options.ranges] - First codepoints of the glyph ranges to fetch
+ * (multiples of 256), defaults to DEFAULT_GLYPH_RANGES
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<{assets: Array<{key: string, blob: Blob}>, missing: number}>}
+ */
+export async function fetchStyleAssets(style, options = {}) {
+    const { baseUrl, signal, onProgress } = options;
+    const requests = [];
+
+    if (options.glyphs !== false && style.glyphs) {
+        let ranges = options.ranges || DEFAULT_GLYPH_RANGES;
+        if (ranges === 'all') ranges = Array.from({ length: 256 }, (_, i) => i * 256);
+        const fonts = options.fonts || collectFontstacks(style);
+        fonts.forEach(fontstack => ranges.forEach(start => {
+            const url = resolveUrl(style.glyphs.replace('{fontstack}', fontstack).replace('{range}', `${start}-${start + 255}`), baseUrl);
+            if (url) requests.push({ key: glyphKey(fontstack, start), url: url.href });
+        }));
+    }
+
+    if (options.sprite !== false) {
+        spriteList(style.sprite).forEach(({ id, url }) => SPRITE_FILES.forEach(file => {
+            const fileUrl = spriteFileUrl(url, baseUrl, file);
+            if (fileUrl) requests.push({ key: spriteKey(id, file), url: fileUrl });
+        }));
+    }
+
+    const assets = [];
+    let done = 0;
+    let next = 0;
+    const worker = async () => {
+        while (next < requests.length) {
+            const { key, url } = requests[next++];
+            signal?.throwIfAborted();
+            try {
+                const response = await fetch(url, { signal });
+                if (response.ok) assets.push({ key, blob: await response.blob() });
+            } catch (e) {
+                signal?.throwIfAborted();
+            }
+            done++;
+            if (onProgress) onProgress(done, requests.length);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, requests.length) }, worker));
+
+    return { assets, missing: requests.length - assets.length };
+}
+
+/**
+ * Returns a copy of a style whose glyphs and sprites point at the stored assets of a map.
+ * URLs without stored assets are left untouched.
+ * @param {string} name - Name of the map
+ * @param {Object} style - Stored style JSON
+ * @param {Array<string>} keys - Keys of the stored assets, see listAssets()
+ * @param {string} [storage] - Key of the backend storing them, see storageKey() in storage.js
+ * @returns {Object}
+ */
+export function offlineStyle(name, style, keys, storage) {
+    const result = { ...style };
+    if (style.glyphs && keys.some(k => k.startsWith('glyphs/'))) {
+        result.glyphs = withStorage(`${GLYPHS_PROTOCOL}://${name}/{fontstack}/{range}.pbf`, storage);
+    }
+
+    const stored = (id) => keys.includes(spriteKey(id, '.json'));
+    const url = (id) => withStorage(`${SPRITE_PROTOCOL}://${name}/${id}`, storage);
+    if (typeof style.sprite === 'string') {
+        if (stored(DEFAULT_SPRITE)) result.sprite = url(DEFAULT_SPRITE);
+    } else if (Array.isArray(style.sprite)) {
+        result.sprite = style.sprite.map(s => stored(s.id) ? { id: s.id, url: url(s.id) } : s);
+    }
+    return result;
+}
+
+/**
+ * Sprites of a stored style under ids prefixed with the map name, to add with map.addSprite()
+ * next to the sprites of the style already on the map. Stored sprites point at the stored assets.
+ * @param {string} name - Name of the map
+ * @param {Object} style - Stored style JSON
+ * @param {Array<string>} keys - Keys of the stored assets, see listAssets()
+ * @param {string} [storage] - Key of the backend storing them, see storageKey() in storage.js
+ * @returns {Array<{id: string, url: string}>}
+ */
+export function mergedSprites(name, style, keys, storage) {
+    return spriteList(offlineStyle(name, style, keys, storage).sprite).map(({ id, url }) => ({ id: `${name}-${id}`, url }));
+}
+
+// Expressions computing image names get the default sprite prefix: other sprites cannot be told apart
+function prefixExpression(expression, prefix) {
+    let images = false;
+    const walk = (value) => {
+        if (!Array.isArray(value)) return value;
+        if (value[0] === 'image') {
+            images = true;
+            return ['image', ['concat', prefix, value[1]]];
+        }
+        return value.map(walk);
+    };
+    const result = walk(expression);
+    return images ? result : ['concat', prefix, ['to-string', expression]];
+}
+
+function renameImages(value, rename, prefix) {
+    if (typeof value === 'string') return rename(value);
+    if (Array.isArray(value)) return prefixExpression(value, prefix);
+    if (value && Array.isArray(value.stops)) {
+        // Legacy function: { stops: [[input, image], ...], default }
+        const result = { ...value, stops: value.stops.map(([input, image]) => [input, renameImages(image, rename, prefix)]) };
+        if (typeof value.default === 'string') result.default = rename(value.default);
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Returns a copy of a layer of a stored style naming the images of the sprites of mergedSprites():
+ * 'icon' becomes '<name>-default:icon' and 'id:icon' becomes '<name>-id:icon'
+ * @param {string} name - Name of the map
+ * @param {Object} style - Stored style JSON
+ * @param {Object} layer - Layer of the style
+ * @returns {Object}
+ */
+export function mergedLayer(name, style, layer) {
+    const ids = spriteList(style.sprite).map(s => s.id);
+    const prefix = `${name}-${DEFAULT_SPRITE}:`;
+    const rename = (image) => {
+        const colon = image.indexOf(':');
+        return colon > 0 && ids.includes(image.slice(0, colon)) ? `${name}-${image}` : prefix + image;
+    };
+
+    const result = { ...layer };
+    Object.entries(IMAGE_PROPERTIES).forEach(([group, properties]) => properties.forEach(property => {
+        if (!layer[group] || layer[group][property] === undefined) return;
+        result[group] = { ...result[group], [property]: renameImages(layer[group][property], rename, prefix) };
+    }));
+    return result;
+}